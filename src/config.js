@@ -0,0 +1,222 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Server configuration.
+ *
+ * Settings are layered: built-in defaults, then an optional JSON file
+ * (path in CONFIG_FILE), then environment variables. The result is
+ * validated once at startup.
+ */
+
+const DEFAULTS = {
+  port: 3001,
+  corsOrigins: [
+    'http://localhost:3000',
+    'https://games.droov.info'
+  ],
+  disconnectGracePeriod: 30000, // 30 seconds
+  lobby: {
+    maxPlayers: 8,
+    maxSpectators: 16
+  },
+  username: {
+    minLength: 4,
+    maxLength: 20,
+    pattern: '^[a-zA-Z0-9_]+$'
+  },
+  lobbyStore: {
+    type: 'memory', // 'memory' or 'file'
+    filePath: 'data/lobbies.json',
+    snapshotInterval: 5000
+  },
+  profileStore: {
+    type: 'memory', // 'memory' or 'file'
+    filePath: 'data/profiles.json'
+  },
+  playlist: {
+    resultsPause: 10000, // default pause on the results screen before the next game
+    maxLength: 50
+  },
+  reaper: {
+    interval: 60 * 1000,
+    idleTimeout: 30 * 60 * 1000,
+    abandonedTimeout: 5 * 60 * 1000,
+    warningTime: 60 * 1000
+  },
+  shutdown: {
+    // Most orchestrators kill the process 30 seconds after SIGTERM
+    drainTimeout: 25 * 1000
+  },
+  adminToken: null
+};
+
+// Environment variable -> [config path, parser]
+const ENV_OVERRIDES = {
+  PORT: ['port', Number],
+  CORS_ORIGINS: ['corsOrigins', value => value.split(',').map(origin => origin.trim()).filter(Boolean)],
+  DISCONNECT_GRACE_PERIOD: ['disconnectGracePeriod', Number],
+  MAX_PLAYERS: ['lobby.maxPlayers', Number],
+  MAX_SPECTATORS: ['lobby.maxSpectators', Number],
+  USERNAME_MIN_LENGTH: ['username.minLength', Number],
+  USERNAME_MAX_LENGTH: ['username.maxLength', Number],
+  USERNAME_PATTERN: ['username.pattern', String],
+  LOBBY_STORE: ['lobbyStore.type', String],
+  LOBBY_STORE_PATH: ['lobbyStore.filePath', String],
+  LOBBY_SNAPSHOT_INTERVAL: ['lobbyStore.snapshotInterval', Number],
+  PROFILE_STORE: ['profileStore.type', String],
+  PROFILE_STORE_PATH: ['profileStore.filePath', String],
+  PLAYLIST_RESULTS_PAUSE: ['playlist.resultsPause', Number],
+  PLAYLIST_MAX_LENGTH: ['playlist.maxLength', Number],
+  LOBBY_REAPER_INTERVAL: ['reaper.interval', Number],
+  LOBBY_IDLE_TIMEOUT: ['reaper.idleTimeout', Number],
+  LOBBY_ABANDONED_TIMEOUT: ['reaper.abandonedTimeout', Number],
+  LOBBY_IDLE_WARNING: ['reaper.warningTime', Number],
+  SHUTDOWN_DRAIN_TIMEOUT: ['shutdown.drainTimeout', Number],
+  ADMIN_TOKEN: ['adminToken', String]
+};
+
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Merge `override` into `base` without mutating either
+ */
+function merge(base, override) {
+  const result = { ...base };
+  for (const [key, value] of Object.entries(override)) {
+    result[key] = isPlainObject(value) && isPlainObject(base[key]) ? merge(base[key], value) : value;
+  }
+  return result;
+}
+
+function setPath(target, dottedPath, value) {
+  const keys = dottedPath.split('.');
+  let node = target;
+  for (const key of keys.slice(0, -1)) {
+    node[key] = node[key] || {};
+    node = node[key];
+  }
+  node[keys[keys.length - 1]] = value;
+}
+
+function readConfigFile(filePath) {
+  const resolved = path.resolve(filePath);
+  let raw;
+  try {
+    raw = fs.readFileSync(resolved, 'utf8');
+  } catch (error) {
+    throw new Error(`Cannot read config file ${resolved}: ${error.message}`);
+  }
+
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    throw new Error(`Config file ${resolved} is not valid JSON: ${error.message}`);
+  }
+}
+
+/**
+ * Check a fully merged config. Returns a list of problems.
+ */
+function getConfigErrors(config) {
+  const errors = [];
+
+  const positiveInteger = (value, name) => {
+    if (!Number.isInteger(value) || value <= 0) {
+      errors.push(`${name} must be a positive integer (got ${Number.isNaN(value) ? 'NaN' : JSON.stringify(value)})`);
+    }
+  };
+
+  positiveInteger(config.port, 'port');
+  if (config.port > 65535) errors.push('port must be at most 65535');
+
+  if (!Array.isArray(config.corsOrigins) || !config.corsOrigins.every(origin => typeof origin === 'string')) {
+    errors.push('corsOrigins must be a list of origins');
+  }
+
+  positiveInteger(config.disconnectGracePeriod, 'disconnectGracePeriod');
+  positiveInteger(config.lobby.maxPlayers, 'lobby.maxPlayers');
+  if (config.lobby.maxPlayers < 2) errors.push('lobby.maxPlayers must be at least 2');
+  if (!Number.isInteger(config.lobby.maxSpectators) || config.lobby.maxSpectators < 0) {
+    errors.push('lobby.maxSpectators must be a non-negative integer');
+  }
+
+  positiveInteger(config.username.minLength, 'username.minLength');
+  positiveInteger(config.username.maxLength, 'username.maxLength');
+  if (config.username.minLength > config.username.maxLength) {
+    errors.push('username.minLength must not exceed username.maxLength');
+  }
+  try {
+    new RegExp(config.username.pattern);
+  } catch (error) {
+    errors.push(`username.pattern is not a valid regular expression: ${error.message}`);
+  }
+
+  if (!['memory', 'file'].includes(config.lobbyStore.type)) {
+    errors.push(`lobbyStore.type must be 'memory' or 'file' (got ${JSON.stringify(config.lobbyStore.type)})`);
+  }
+  if (typeof config.lobbyStore.filePath !== 'string' || config.lobbyStore.filePath.length === 0) {
+    errors.push('lobbyStore.filePath must be a path');
+  }
+  positiveInteger(config.lobbyStore.snapshotInterval, 'lobbyStore.snapshotInterval');
+
+  if (!['memory', 'file'].includes(config.profileStore.type)) {
+    errors.push(`profileStore.type must be 'memory' or 'file' (got ${JSON.stringify(config.profileStore.type)})`);
+  }
+  if (typeof config.profileStore.filePath !== 'string' || config.profileStore.filePath.length === 0) {
+    errors.push('profileStore.filePath must be a path');
+  }
+
+  positiveInteger(config.playlist.resultsPause, 'playlist.resultsPause');
+  positiveInteger(config.playlist.maxLength, 'playlist.maxLength');
+
+  for (const key of ['interval', 'idleTimeout', 'abandonedTimeout', 'warningTime']) {
+    positiveInteger(config.reaper[key], `reaper.${key}`);
+  }
+  if (config.reaper.warningTime >= config.reaper.idleTimeout) {
+    errors.push('reaper.warningTime must be shorter than reaper.idleTimeout');
+  }
+
+  if (!Number.isInteger(config.shutdown.drainTimeout) || config.shutdown.drainTimeout < 0) {
+    errors.push('shutdown.drainTimeout must be a non-negative integer');
+  }
+
+  if (config.adminToken !== null && (typeof config.adminToken !== 'string' || config.adminToken.length === 0)) {
+    errors.push('adminToken must be a non-empty string');
+  }
+
+  return errors;
+}
+
+/**
+ * Load and validate the server configuration. Throws on invalid settings.
+ */
+function loadConfig(env = process.env) {
+  let config = DEFAULTS;
+
+  if (env.CONFIG_FILE) {
+    config = merge(config, readConfigFile(env.CONFIG_FILE));
+  }
+
+  const overrides = {};
+  for (const [name, [configPath, parse]] of Object.entries(ENV_OVERRIDES)) {
+    if (env[name] !== undefined && env[name] !== '') {
+      setPath(overrides, configPath, parse(env[name]));
+    }
+  }
+  config = merge(config, overrides);
+
+  const errors = getConfigErrors(config);
+  if (errors.length > 0) {
+    throw new Error(`Invalid configuration:\n  - ${errors.join('\n  - ')}`);
+  }
+
+  return config;
+}
+
+module.exports = {
+  DEFAULTS,
+  loadConfig
+};
@@ -0,0 +1,200 @@
+/**
+ * Error catalogue for the socket protocol.
+ *
+ * Every error sent back to a client has the shape
+ *
+ *   { error, code, category, details? }
+ *
+ * - `error` is a human-readable message, for display only.
+ * - `code` is stable and machine-readable; clients should branch on it.
+ * - `category` is an HTTP-like class of failure: bad_request (400),
+ *   unauthorized (401), forbidden (403), not_found (404), conflict (409),
+ *   internal (500) or unavailable (503).
+ * - `details` holds extra fields for some codes (limits, ids, ...).
+ *
+ * Handlers return `errorResponse(code, details)`; code deeper down (models)
+ * throws a `ProtocolError`, which the socket layer turns into the same shape.
+ */
+
+const ERRORS = {
+  // Requests and payloads
+  INVALID_PAYLOAD: {
+    category: 'bad_request',
+    message: ({ event, reason }) => `Invalid ${event} payload: ${reason}`
+  },
+  UNKNOWN_ACTION: {
+    category: 'bad_request',
+    message: ({ action }) => `Unknown action: ${action}`
+  },
+  INTERNAL_ERROR: { category: 'internal', message: 'Something went wrong on the server' },
+  SERVER_SHUTTING_DOWN: {
+    category: 'unavailable',
+    message: 'The server is shutting down. Try again in a moment.'
+  },
+
+  // Usernames
+  USERNAME_REQUIRED: { category: 'bad_request', message: 'Username is required' },
+  USERNAME_TOO_SHORT: {
+    category: 'bad_request',
+    message: ({ minLength }) => `Username must be at least ${minLength} characters`
+  },
+  USERNAME_TOO_LONG: {
+    category: 'bad_request',
+    message: ({ maxLength }) => `Username must be ${maxLength} characters or less`
+  },
+  USERNAME_INVALID: {
+    category: 'bad_request',
+    message: 'Username can only contain letters, numbers, and underscores'
+  },
+  USERNAME_RESERVED: { category: 'bad_request', message: 'Usernames starting with Bot_ are reserved for bots' },
+  USERNAME_TAKEN: { category: 'conflict', message: 'Username already taken in this lobby' },
+
+  // Lobbies and sessions
+  NOT_IN_LOBBY: { category: 'unauthorized', message: 'Not in a lobby' },
+  INVALID_LOBBY_CODE: { category: 'bad_request', message: 'Invalid lobby code' },
+  LOBBY_NOT_FOUND: { category: 'not_found', message: 'Lobby not found' },
+  LOBBY_FULL: {
+    category: 'conflict',
+    message: ({ maxPlayers }) => `Lobby is full (max ${maxPlayers} players)`
+  },
+  SPECTATORS_FULL: {
+    category: 'conflict',
+    message: ({ maxSpectators }) => `Too many spectators (max ${maxSpectators})`
+  },
+  BANNED: { category: 'forbidden', message: 'You are banned from this lobby' },
+  PROFILE_IN_USE: { category: 'conflict', message: 'That profile is already in this lobby' },
+  RECONNECT_TOKEN_INVALID: {
+    category: 'unauthorized',
+    message: 'Reconnect token is invalid or has expired. Rejoin the lobby instead.'
+  },
+
+  // Permissions and moderation
+  NOT_HOST: {
+    category: 'forbidden',
+    message: ({ action = 'do that' }) => `Only the host can ${action}`
+  },
+  SPECTATOR_NOT_ALLOWED: {
+    category: 'forbidden',
+    message: ({ action }) => `Spectators cannot ${action}`
+  },
+  BOT_NOT_ALLOWED: {
+    category: 'bad_request',
+    message: ({ action }) => `Bots cannot ${action}`
+  },
+  PLAYER_NOT_FOUND: { category: 'not_found', message: 'Player not found in lobby' },
+  SPECTATOR_NOT_FOUND: { category: 'not_found', message: 'Spectator not found' },
+  CANNOT_TARGET_SELF: { category: 'bad_request', message: 'You cannot target yourself' },
+  TARGET_DISCONNECTED: {
+    category: 'conflict',
+    message: 'Cannot transfer host to a disconnected player'
+  },
+  NO_PROFILE: {
+    category: 'not_found',
+    message: ({ self }) => (self ? 'You have not claimed a profile' : 'That player has no profile')
+  },
+
+  // Starting and running games
+  UNKNOWN_GAME: {
+    category: 'bad_request',
+    message: ({ gameId }) => `Unknown game: ${gameId}`
+  },
+  INVALID_OPTIONS: { category: 'bad_request', message: ({ reason }) => reason },
+  NOT_ENOUGH_PLAYERS: {
+    category: 'conflict',
+    message: ({ minPlayers }) => `Need at least ${minPlayers} players to start`
+  },
+  TOO_MANY_PLAYERS: {
+    category: 'conflict',
+    message: ({ game, maxPlayers }) => `${game} allows at most ${maxPlayers} players`
+  },
+  GAME_IN_PROGRESS: { category: 'conflict', message: 'Cannot join while a game is in progress' },
+  NO_GAME_RUNNING: { category: 'conflict', message: 'No game in progress' },
+  INVALID_GAME_STATE: { category: 'internal', message: 'Invalid game state' },
+  GAME_PAUSED: { category: 'conflict', message: 'The game is paused' },
+  GAME_NOT_PAUSED: { category: 'conflict', message: 'The game is not paused' },
+  ROUND_NOT_OVER: {
+    category: 'conflict',
+    message: ({ feature }) => `${feature} is only available once the round is over`
+  },
+  REMATCH_NOT_READY: { category: 'conflict', message: 'Not everyone is ready for a rematch' },
+  NO_REPLAY: { category: 'not_found', message: 'No game has been played in this lobby yet' },
+
+  // Playlists
+  PLAYLIST_RUNNING: { category: 'conflict', message: 'A playlist is already running' },
+  PLAYLIST_PICKS_GAMES: {
+    category: 'conflict',
+    message: 'The playlist picks the next game; stop it to choose one by hand'
+  },
+  PLAYLIST_TOO_LONG: {
+    category: 'bad_request',
+    message: ({ maxLength }) => `A playlist can have at most ${maxLength} games`
+  },
+  NO_PLAYLIST: { category: 'conflict', message: 'No playlist is running' },
+
+  // Teams
+  TEAMS_LOCKED: { category: 'conflict', message: 'Cannot change teams during a game' },
+  INVALID_TEAMS: { category: 'bad_request', message: ({ reason }) => reason },
+
+  // In-game actions (returned by game modules' handleAction)
+  NO_ACTIONS: {
+    category: 'bad_request',
+    message: ({ game }) => `No actions available in ${game}`
+  },
+  WRONG_PHASE: {
+    category: 'conflict',
+    message: ({ expected }) => `Not in ${expected} phase`
+  },
+  NOT_IN_ROUND: { category: 'forbidden', message: 'You are not playing this round' },
+  TIME_UP: { category: 'conflict', message: 'Time is up' },
+  EMPTY_WORD: { category: 'bad_request', message: 'Word cannot be empty' },
+  INVALID_VOTE: { category: 'bad_request', message: 'Invalid vote type' },
+  OWN_DRAWING_VOTE: { category: 'bad_request', message: 'Cannot vote for your own drawing' },
+  NOT_CURRENT_DRAWING: { category: 'conflict', message: 'Can only vote for the current drawing' },
+  ALL_ANSWERED: { category: 'conflict', message: 'You have answered every question' },
+  PENALTY_ACTIVE: { category: 'conflict', message: 'Wrong answer penalty in effect' },
+  NOT_CURRENT_QUESTION: { category: 'conflict', message: 'Answer the current question' },
+  ALREADY_SOLVED: { category: 'conflict', message: 'Already solved' }
+};
+
+/**
+ * Build the response for an error code. `details` is passed to the
+ * message and sent along with it.
+ */
+function errorResponse(code, details) {
+  const entry = ERRORS[code];
+  if (!entry) {
+    throw new Error(`Unknown error code: ${code}`);
+  }
+
+  const response = {
+    error: typeof entry.message === 'function' ? entry.message(details || {}) : entry.message,
+    code,
+    category: entry.category
+  };
+  if (details) response.details = details;
+  return response;
+}
+
+/**
+ * An error with a catalogue code, for code that reports failure by throwing
+ */
+class ProtocolError extends Error {
+  constructor(code, details) {
+    const response = errorResponse(code, details);
+    super(response.error);
+    this.name = 'ProtocolError';
+    this.code = code;
+    this.category = response.category;
+    this.details = details;
+  }
+
+  toResponse() {
+    return errorResponse(this.code, this.details);
+  }
+}
+
+module.exports = {
+  ERRORS,
+  errorResponse,
+  ProtocolError
+};
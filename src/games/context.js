@@ -0,0 +1,82 @@
+const crypto = require('crypto');
+
+/**
+ * Per-game randomness and time.
+ *
+ * Each game instance gets a context with a seeded RNG and a clock. Games
+ * must use these instead of Math.random(), Date.now() and setTimeout() so a
+ * round can be replayed from its seed (the seed is published with the
+ * results) and driven by a fake clock.
+ */
+
+// Real time
+const systemClock = {
+  now: () => Date.now(),
+  setTimeout: (callback, ms) => setTimeout(callback, ms),
+  clearTimeout: (handle) => clearTimeout(handle)
+};
+
+/**
+ * Random 32-bit seed
+ */
+function generateSeed() {
+  return crypto.randomInt(0, 2 ** 32);
+}
+
+/**
+ * Seeded pseudo-random generator (mulberry32).
+ * Pass a saved `state` to continue a sequence after a restart.
+ */
+function createRng(seed, state = seed) {
+  let current = state >>> 0;
+
+  // Float in [0, 1)
+  function next() {
+    current = (current + 0x6D2B79F5) >>> 0;
+    let t = current;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  // Integer in [0, max)
+  function int(max) {
+    return Math.floor(next() * max);
+  }
+
+  return {
+    seed,
+    next,
+    int,
+    getState: () => current
+  };
+}
+
+/**
+ * Create the context for a new (or restored) game
+ */
+function createGameContext({ seed = generateSeed(), rngState, clock = systemClock } = {}) {
+  if (!Number.isInteger(seed) || seed < 0 || seed >= 2 ** 32) {
+    throw new Error('Game seed must be a 32-bit unsigned integer');
+  }
+
+  return {
+    seed,
+    rng: createRng(seed, rngState),
+    clock
+  };
+}
+
+/**
+ * Serializable part of a context (the clock is always the real one on restore)
+ */
+function serializeGameContext(context) {
+  return { seed: context.seed, rngState: context.rng.getState() };
+}
+
+module.exports = {
+  systemClock,
+  createRng,
+  createGameContext,
+  serializeGameContext
+};
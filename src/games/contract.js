@@ -0,0 +1,118 @@
+/**
+ * Game module contract.
+ *
+ * Every directory under src/games exports a module shaped like:
+ *
+ *   meta              { id, name, description, minPlayers, maxPlayers,
+ *                       departurePolicy, options? }
+ *   actions           payload schema for each `game:action` (see utils/schema.js)
+ *   init(lobby, io, options)
+ *                     build the initial `lobby.gameState` for validated options
+ *   start(lobby, io)  kick off the game flow once `game:started` is sent
+ *   handleAction(lobby, playerId, action, data, io)
+ *                     returns the action's result, or an error response
+ *                     from ../errors.js
+ *   end(lobby)        clear timers and return the lobby to idle
+ *   onPlayerLeave(lobby, playerId, io)
+ *                     a player left mid-game (already gone from
+ *                     `lobby.players`); finish anything that was only
+ *                     waiting on them
+ *   getReconnectState(lobby, playerId)
+ *
+ * `meta.options` is an options schema (see ./options.js).
+ * `meta.departurePolicy` is 'forfeit' or 'drop' (see ./departures.js).
+ *
+ * Games get their randomness and time from `lobby.gameContext` (see
+ * ./context.js): `rng` instead of Math.random(), `clock.now()` instead of
+ * Date.now(), and timers through ./timers.js.
+ *
+ * Optional hooks:
+ *
+ *   resume(lobby, io) re-arm timers for a game restored from a snapshot
+ *   updateProfileStats(stats, playerId, results)
+ *                     add game-specific records (best times, ...) to a
+ *                     player's persistent stats for this game
+ *   getTeamOutcome(results, teams)
+ *                     rank teams for team mode (see ./teams.js)
+ *   onResume(lobby, pausedFor)
+ *                     shift any game-specific deadlines after a pause
+ *                     (timers and `phaseStartTime` are handled by ./timers.js)
+ *   playBot(bot, event, payload)
+ *                     bot strategy: react to a game message on behalf of a
+ *                     bot player, or to `bot:restored` with its reconnect
+ *                     state after a restart (see socket/bots.js)
+ */
+
+const { getSchemaErrors } = require('./options');
+const { DEPARTURE_POLICIES } = require('./departures');
+
+const REQUIRED_FUNCTIONS = ['init', 'start', 'handleAction', 'end', 'onPlayerLeave', 'getReconnectState'];
+const OPTIONAL_FUNCTIONS = ['resume', 'updateProfileStats', 'getTeamOutcome', 'onResume', 'playBot'];
+
+/**
+ * Validate a game module against the contract.
+ * Returns a list of problems (empty if the module is valid).
+ */
+function getContractErrors(gameModule) {
+  const errors = [];
+
+  if (!gameModule || typeof gameModule !== 'object') {
+    return ['module must export an object'];
+  }
+
+  const meta = gameModule.meta;
+  if (!meta || typeof meta !== 'object') {
+    errors.push('meta is required');
+  } else {
+    for (const field of ['id', 'name', 'description']) {
+      if (typeof meta[field] !== 'string' || meta[field].length === 0) {
+        errors.push(`meta.${field} must be a non-empty string`);
+      }
+    }
+    if (!Number.isInteger(meta.minPlayers) || meta.minPlayers < 1) {
+      errors.push('meta.minPlayers must be a positive integer');
+    }
+    if (!Number.isInteger(meta.maxPlayers) || meta.maxPlayers < meta.minPlayers) {
+      errors.push('meta.maxPlayers must be an integer no smaller than meta.minPlayers');
+    }
+    if (!DEPARTURE_POLICIES.includes(meta.departurePolicy)) {
+      errors.push(`meta.departurePolicy must be one of: ${DEPARTURE_POLICIES.join(', ')}`);
+    }
+    if (meta.options !== undefined) {
+      errors.push(...getSchemaErrors(meta.options).map(error => `meta.${error}`));
+    }
+  }
+
+  if (!gameModule.actions || typeof gameModule.actions !== 'object') {
+    errors.push('actions must be an object of payload schemas');
+  }
+
+  for (const name of REQUIRED_FUNCTIONS) {
+    if (typeof gameModule[name] !== 'function') {
+      errors.push(`${name}() is required`);
+    }
+  }
+
+  for (const name of OPTIONAL_FUNCTIONS) {
+    if (gameModule[name] !== undefined && typeof gameModule[name] !== 'function') {
+      errors.push(`${name} must be a function if provided`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Throw if a game module does not satisfy the contract
+ */
+function validateGameModule(gameModule, source) {
+  const errors = getContractErrors(gameModule);
+  if (errors.length > 0) {
+    throw new Error(`Invalid game module ${source}: ${errors.join('; ')}`);
+  }
+}
+
+module.exports = {
+  validateGameModule,
+  getContractErrors
+};
@@ -1,9 +1,30 @@
 const { createDeck, shuffleDeck } = require('../../utils/deck');
 const { findBestHand, compareHands } = require('./handEvaluator');
+const { getGameTime, setGameTimer, clearGameTimers, restoreGameTimers } = require('../timers');
+const { publishResults } = require('../results');
+const { groupByTeam, rankTeams } = require('../teams');
+const { broadcast, sendToPlayer } = require('../events');
+const { errorResponse } = require('../../errors');
 
 const GAME_NAME = 'dead-draw-poker';
 
-// Timing for dramatic card dealing (in ms)
+const meta = {
+  id: GAME_NAME,
+  name: 'Dead Draw Poker',
+  description: 'Everyone gets 2 cards, 5 community cards are dealt. Worst poker hand loses!',
+  minPlayers: 2,
+  maxPlayers: 8,
+  // Walking away from a bad hand doesn't get you out of the drink
+  departurePolicy: 'forfeit',
+  options: {
+    pace: { type: 'enum', label: 'Dealing pace', default: 'normal', choices: ['fast', 'normal', 'slow'] }
+  }
+};
+
+// Dead Draw Poker is all automatic - no player actions
+const actions = {};
+
+// Timing for dramatic card dealing at normal pace (in ms)
 const DEAL_TIMING = {
   HOLE_CARDS: 500,      // Time between dealing hole cards to players
   FLOP_DELAY: 2000,     // Delay before flop
@@ -13,12 +34,19 @@ const DEAL_TIMING = {
   REVEAL_DELAY: 3000,   // Delay before revealing results
 };
 
+// Multiplier applied to DEAL_TIMING for each pace option
+const PACE_SCALE = {
+  fast: 0.5,
+  normal: 1,
+  slow: 1.5
+};
+
 /**
  * Initialize the game state for Dead Draw Poker
  */
-function initGame(lobby, io) {
+function initGame(lobby, io, options) {
   const playerIds = Array.from(lobby.players.keys());
-  const deck = shuffleDeck(createDeck());
+  const deck = shuffleDeck(createDeck(), lobby.gameContext.rng);
 
   // Deal 2 cards to each player
   const playerHands = {};
@@ -42,81 +70,146 @@ function initGame(lobby, io) {
 
   lobby.gameState = {
     phase: 'dealing',
+    options,
     playerHands,
     communityCards,
     revealedCommunity: [],
-    results: null
+    dealSteps: [],
+    dealIndex: 0,
+    results: null,
+    phaseStartTime: null,
+    phaseDeadline: null,
+    timers: {},
+    deadlines: {}
   };
 
   return lobby.gameState;
 }
 
 /**
- * Start the dramatic dealing sequence
+ * Build the dramatic dealing sequence as a list of steps.
+ * Each step waits `delay` ms before the next one runs, so the sequence can be
+ * resumed from `dealIndex` after a restart.
  */
-async function startDealing(lobby, io) {
-  const roomCode = lobby.code;
-  const state = lobby.gameState;
-  const playerIds = Array.from(lobby.players.keys());
+function buildDealSequence(playerIds, pace) {
+  const scale = PACE_SCALE[pace];
+  const timing = {};
+  for (const [name, ms] of Object.entries(DEAL_TIMING)) {
+    timing[name] = Math.round(ms * scale);
+  }
 
-  // Phase 1: Deal hole cards to each player
-  io.to(roomCode).emit('game:phase', { phase: 'dealing-hole-cards' });
+  const steps = [{ action: 'phase', phase: 'dealing-hole-cards', delay: 0 }];
 
+  // Phase 1: Deal hole cards to each player
   for (const playerId of playerIds) {
-    const player = lobby.players.get(playerId);
-    // Send hole cards only to the specific player
-    io.to(player.socketId).emit('game:hole-cards', {
-      cards: state.playerHands[playerId].holeCards
-    });
-    await delay(DEAL_TIMING.HOLE_CARDS);
+    steps.push({ action: 'hole-cards', playerId, delay: timing.HOLE_CARDS });
   }
-
-  // Notify everyone that all hole cards are dealt
-  io.to(roomCode).emit('game:hole-cards-complete');
-  await delay(DEAL_TIMING.FLOP_DELAY);
+  steps.push({ action: 'hole-cards-complete', delay: timing.FLOP_DELAY });
 
   // Phase 2: Deal the flop (3 cards)
-  io.to(roomCode).emit('game:phase', { phase: 'flop' });
-  for (let i = 0; i < 3; i++) {
-    state.revealedCommunity.push(state.communityCards[i]);
-    io.to(roomCode).emit('game:community-card', {
-      card: state.communityCards[i],
-      position: i,
-      communityCards: [...state.revealedCommunity]
-    });
-    await delay(DEAL_TIMING.FLOP_CARD);
-  }
-  await delay(DEAL_TIMING.TURN_DELAY);
+  steps.push({ action: 'phase', phase: 'flop', delay: 0 });
+  steps.push({ action: 'community-card', position: 0, delay: timing.FLOP_CARD });
+  steps.push({ action: 'community-card', position: 1, delay: timing.FLOP_CARD });
+  steps.push({ action: 'community-card', position: 2, delay: timing.FLOP_CARD + timing.TURN_DELAY });
 
   // Phase 3: Deal the turn (4th card)
-  io.to(roomCode).emit('game:phase', { phase: 'turn' });
-  state.revealedCommunity.push(state.communityCards[3]);
-  io.to(roomCode).emit('game:community-card', {
-    card: state.communityCards[3],
-    position: 3,
-    communityCards: [...state.revealedCommunity]
-  });
-  await delay(DEAL_TIMING.RIVER_DELAY);
+  steps.push({ action: 'phase', phase: 'turn', delay: 0 });
+  steps.push({ action: 'community-card', position: 3, delay: timing.RIVER_DELAY });
 
   // Phase 4: Deal the river (5th card)
-  io.to(roomCode).emit('game:phase', { phase: 'river' });
-  state.revealedCommunity.push(state.communityCards[4]);
-  io.to(roomCode).emit('game:community-card', {
-    card: state.communityCards[4],
-    position: 4,
-    communityCards: [...state.revealedCommunity]
-  });
-  await delay(DEAL_TIMING.REVEAL_DELAY);
+  steps.push({ action: 'phase', phase: 'river', delay: 0 });
+  steps.push({ action: 'community-card', position: 4, delay: timing.REVEAL_DELAY });
 
   // Phase 5: Evaluate all hands and determine loser
-  state.phase = 'results';
-  const results = evaluateResults(lobby);
-  state.results = results;
+  steps.push({ action: 'results', delay: 0 });
+
+  return steps;
+}
+
+/**
+ * Start the dramatic dealing sequence
+ */
+function startDealing(lobby, io) {
+  const state = lobby.gameState;
 
-  io.to(roomCode).emit('game:phase', { phase: 'results' });
-  io.to(roomCode).emit('game:results', results);
+  state.dealSteps = buildDealSequence(Array.from(lobby.players.keys()), state.options.pace);
+  state.dealIndex = 0;
 
-  return results;
+  runDealSteps(lobby, io);
+}
+
+/**
+ * Run deal steps until one needs to wait, then schedule the rest
+ */
+function runDealSteps(lobby, io) {
+  const state = lobby.gameState;
+
+  while (state.dealIndex < state.dealSteps.length) {
+    const step = state.dealSteps[state.dealIndex++];
+    runDealStep(lobby, io, step);
+
+    if (step.delay > 0) {
+      setGameTimer(lobby, 'deal', step.delay, () => runDealSteps(lobby, io));
+      return;
+    }
+  }
+}
+
+/**
+ * How long (in ms) the phase whose step just ran lasts: the delays up to
+ * the next phase change or the results
+ */
+function getDealPhaseDuration(state) {
+  let ms = 0;
+  for (let i = state.dealIndex - 1; i < state.dealSteps.length; i++) {
+    const step = state.dealSteps[i];
+    if (i >= state.dealIndex && (step.action === 'phase' || step.action === 'results')) break;
+    ms += step.delay;
+  }
+  return ms;
+}
+
+/**
+ * Perform a single step of the dealing sequence
+ */
+function runDealStep(lobby, io, step) {
+  const state = lobby.gameState;
+
+  switch (step.action) {
+    case 'phase':
+      // The deal timer drives the phase, so there is no separate phase timer
+      state.phaseStartTime = getGameTime(lobby);
+      state.phaseDeadline = state.phaseStartTime + getDealPhaseDuration(state);
+      broadcast(lobby, io, 'game:phase', { phase: step.phase, deadline: state.phaseDeadline });
+      break;
+    case 'hole-cards': {
+      const player = lobby.players.get(step.playerId);
+      if (!player) break; // Left or was kicked before their cards came out
+
+      // Send hole cards only to the specific player
+      sendToPlayer(lobby, io, player, 'game:hole-cards', {
+        cards: state.playerHands[step.playerId].holeCards
+      });
+      break;
+    }
+    case 'hole-cards-complete':
+      // Notify everyone that all hole cards are dealt
+      broadcast(lobby, io, 'game:hole-cards-complete');
+      break;
+    case 'community-card':
+      state.revealedCommunity.push(state.communityCards[step.position]);
+      broadcast(lobby, io, 'game:community-card', {
+        card: state.communityCards[step.position],
+        position: step.position,
+        communityCards: [...state.revealedCommunity]
+      });
+      break;
+    case 'results': {
+      state.phase = 'results';
+      publishResults(lobby, io, evaluateResults(lobby));
+      break;
+    }
+  }
 }
 
 /**
@@ -128,6 +221,8 @@ function evaluateResults(lobby) {
 
   for (const [playerId, handData] of Object.entries(state.playerHands)) {
     const player = lobby.players.get(playerId);
+    if (!player) continue; // Left mid-deal: the departure policy decides
+
     const bestHand = findBestHand(handData.holeCards, state.communityCards);
     handData.bestHand = bestHand;
 
@@ -163,18 +258,63 @@ function evaluateResults(lobby) {
  */
 function handleAction(lobby, playerId, action, data, io) {
   // Dead Draw Poker has no player actions - it's all automatic
-  return { error: 'No actions available in Dead Draw Poker' };
+  return errorResponse('NO_ACTIONS', { game: meta.name });
 }
 
+/**
+ * Nothing to do when a player leaves: the deal skips them, and walking out
+ * forfeits at the reveal (see meta)
+ */
+function onPlayerLeave(lobby, playerId, io) {}
+
 /**
  * End the game and clean up
  */
 function endGame(lobby) {
+  clearGameTimers(lobby);
   lobby.endGame();
 }
 
-function delay(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
+/**
+ * Pick the dealing sequence back up for a game restored from a snapshot
+ */
+function resumeGame(lobby, io) {
+  restoreGameTimers(lobby, {
+    deal: () => runDealSteps(lobby, io)
+  });
+}
+
+/**
+ * Track the worst hand each player has been dealt
+ */
+function updateProfileStats(stats, playerId, results) {
+  const result = results.players.find(p => p.playerId === playerId);
+  if (!result) return;
+
+  if (!stats.worstHand || compareHands(result.bestHand, stats.worstHand.bestHand) < 0) {
+    stats.worstHand = {
+      handName: result.handName,
+      bestHand: result.bestHand,
+      holeCards: result.holeCards
+    };
+  }
+}
+
+/**
+ * Team mode: each team is only as good as its worst hand
+ */
+function getTeamOutcome(results, teams) {
+  const scored = groupByTeam(results.players, teams).map(({ team, rows }) => {
+    const worst = rows.reduce((a, b) => (compareHands(b.bestHand, a.bestHand) < 0 ? b : a));
+    return {
+      team,
+      rows,
+      score: {
+        worstHand: { playerId: worst.playerId, handName: worst.handName, bestHand: worst.bestHand }
+      }
+    };
+  });
+  return rankTeams(scored, (a, b) => compareHands(a.score.worstHand.bestHand, b.score.worstHand.bestHand));
 }
 
 /**
@@ -184,7 +324,7 @@ function getReconnectState(lobby, playerId) {
   const state = lobby.gameState;
   if (!state) return {};
 
-  const base = { phase: state.phase };
+  const base = { phase: state.phase, deadline: state.phaseDeadline };
 
   // Always include hole cards for this player
   const holeCards = state.playerHands[playerId]?.holeCards || [];
@@ -198,10 +338,15 @@ function getReconnectState(lobby, playerId) {
 }
 
 module.exports = {
-  GAME_NAME,
-  initGame,
-  startDealing,
+  meta,
+  actions,
+  init: initGame,
+  start: startDealing,
   handleAction,
-  endGame,
+  end: endGame,
+  onPlayerLeave,
+  resume: resumeGame,
+  updateProfileStats,
+  getTeamOutcome,
   getReconnectState
 };
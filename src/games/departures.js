@@ -0,0 +1,113 @@
+/**
+ * Players leaving mid-game.
+ *
+ * Every game declares a `meta.departurePolicy`:
+ *
+ *   'forfeit'  a leaver takes the loss for the round, in place of whoever
+ *              the game itself would have picked
+ *   'drop'     a leaver is dropped from the round as if they never played
+ *
+ * Only players who walk out (leaving, or not coming back from a disconnect)
+ * forfeit. Someone the host kicks or bans is just dropped, and so is a bot,
+ * since bots never drink.
+ *
+ * Either way the round carries on with whoever is left. Lobby#removePlayer
+ * records the departure and then calls the game's `onPlayerLeave` so it can
+ * finish any phase that was only waiting on the leaver. Games build their
+ * results from the players still in the lobby, and publishResults applies
+ * the policy on top.
+ */
+
+const { applyTeamOutcome } = require('./teams');
+
+const DEPARTURE_POLICIES = ['forfeit', 'drop'];
+
+// Removal reasons (see Lobby#removePlayer) that count as walking out
+const FORFEIT_REASONS = ['left', 'disconnected'];
+
+/**
+ * Remember who left the current game, and why, so results can still name them
+ */
+function recordDeparture(lobby, player, reason) {
+  const state = lobby.gameState;
+  if (!state.departed) state.departed = {};
+
+  state.departed[player.id] = {
+    username: player.username,
+    teamId: player.teamId,
+    profileId: player.profileId,
+    isBot: player.isBot,
+    reason
+  };
+}
+
+/**
+ * Everyone who left the current game, as
+ * `{ playerId, username, teamId, profileId, isBot, reason }`
+ */
+function getDepartures(lobby) {
+  return Object.entries(lobby.gameState?.departed || {})
+    .map(([playerId, departure]) => ({ playerId, ...departure }));
+}
+
+/**
+ * The departures that forfeit the round under the 'forfeit' policy
+ */
+function getForfeits(lobby) {
+  return getDepartures(lobby)
+    .filter(departure => !departure.isBot && FORFEIT_REASONS.includes(departure.reason));
+}
+
+/**
+ * Whether `predicate(playerId)` holds for every player still in the lobby.
+ * Completion checks use this rather than comparing counts, so leavers
+ * neither hold a phase open nor count towards closing it.
+ */
+function allRemainingPlayers(lobby, predicate) {
+  for (const playerId of lobby.players.keys()) {
+    if (!predicate(playerId)) return false;
+  }
+  return true;
+}
+
+/**
+ * Apply a game's departure policy to its results. Leavers are listed under
+ * `results.departed`; under 'forfeit' those who walked out become the
+ * losers, and in team mode their team loses with them.
+ */
+function applyDeparturePolicy(lobby, results, policy) {
+  const departures = getDepartures(lobby);
+  if (departures.length === 0) return results;
+
+  results.departed = departures.map(({ playerId, username, reason }) => ({ playerId, username, reason }));
+  const forfeits = getForfeits(lobby);
+  if (policy !== 'forfeit' || forfeits.length === 0) return results;
+
+  if (results.teams) {
+    const forfeitingTeams = new Set(forfeits.map(departure => departure.teamId));
+    for (const standing of results.teams) {
+      standing.lost = forfeitingTeams.has(standing.teamId);
+    }
+    applyTeamOutcome(results, results.teams);
+  } else {
+    results.losers = [];
+  }
+
+  for (const { playerId, username, teamId } of forfeits) {
+    const loser = { playerId, username, reason: 'left' };
+    const team = results.teams && lobby.teams.find(t => t.id === teamId);
+    if (team) loser.team = { id: team.id, name: team.name };
+    results.losers.push(loser);
+  }
+
+  return results;
+}
+
+module.exports = {
+  DEPARTURE_POLICIES,
+  recordDeparture,
+  getDepartures,
+  getForfeits,
+  allRemainingPlayers,
+  applyDeparturePolicy
+};
@@ -1,22 +1,75 @@
+const {
+  startTimedPhase,
+  isPastDeadline,
+  getTimeRemaining,
+  clearGameTimer,
+  clearGameTimers,
+  restoreGameTimers
+} = require('../timers');
+const { publishResults } = require('../results');
+const { groupByTeam, rankTeams } = require('../teams');
+const { broadcast } = require('../events');
+const { allRemainingPlayers } = require('../departures');
+const { errorResponse } = require('../../errors');
+
 const GAME_NAME = 'drawing-game';
 
-// Timing settings (in ms)
-const TIMING = {
-  WORD_SUBMISSION: 30000,   // 30 seconds to submit words
-  DRAWING_PHASE: 30000,     // 30 seconds to draw
-  VIEWING_EACH: 5000,       // 5 seconds to view each drawing
-  VOTING_GRACE: 2000,       // Extra time after viewing for final votes
-  RESULTS_DISPLAY: 5000,    // Time to show results
+const meta = {
+  id: GAME_NAME,
+  name: 'Drawing Game',
+  description: 'Submit a word, draw the chosen word, vote on drawings. Lowest rated drawing loses!',
+  minPlayers: 2,
+  maxPlayers: 8,
+  // Nobody can vote on a drawing that was never finished
+  departurePolicy: 'drop',
+  options: {
+    wordTime: { type: 'integer', label: 'Word submission time', unit: 'seconds', default: 30, min: 10, max: 120 },
+    drawingTime: { type: 'integer', label: 'Drawing time', unit: 'seconds', default: 30, min: 10, max: 180 },
+    viewingTime: { type: 'integer', label: 'Time per drawing', unit: 'seconds', default: 5, min: 3, max: 20 }
+  }
+};
+
+// Payload schemas for each game:action
+const actions = {
+  'submit-word': {
+    word: { type: 'string', required: true, maxLength: 50 }
+  },
+  'submit-drawing': {
+    drawing: { type: 'string', required: true, maxLength: 2000000 }
+  },
+  'vote': {
+    drawingOwnerId: { type: 'string', required: true },
+    voteType: { type: 'string', required: true, enum: ['up', 'down'] }
+  }
 };
 
+/**
+ * Timing settings (in ms) for a game's options
+ */
+function getTiming(options) {
+  return {
+    WORD_SUBMISSION: options.wordTime * 1000,   // time to submit words
+    DRAWING_PHASE: options.drawingTime * 1000,  // time to draw
+    VIEWING_EACH: options.viewingTime * 1000,   // time to view each drawing
+    VOTING_GRACE: 2000,       // Extra time after viewing for final votes
+    RESULTS_DISPLAY: 5000,    // Time to show results
+  };
+}
+
+// Clients auto-submit their drawing at the deadline, and a drawing is a big
+// upload, so it gets a longer grace window than other submissions
+const DRAWING_GRACE = 2000;
+
 /**
  * Initialize the game state for Drawing Game
  */
-function initGame(lobby, io) {
+function initGame(lobby, io, options) {
   const playerIds = Array.from(lobby.players.keys());
 
   lobby.gameState = {
     phase: 'word-submission',
+    options,
+    timing: getTiming(options),
     submittedWords: {},       // playerId -> word
     chosenWord: null,
     drawings: {},             // playerId -> drawing data (base64 or canvas data)
@@ -25,7 +78,8 @@ function initGame(lobby, io) {
     currentViewingIndex: 0,
     viewingOrder: [],
     results: null,
-    timers: {}
+    timers: {},
+    deadlines: {}
   };
 
   // Initialize scores for all players
@@ -41,21 +95,18 @@ function initGame(lobby, io) {
  * Start the word submission phase
  */
 function startWordSubmission(lobby, io) {
-  const roomCode = lobby.code;
   const state = lobby.gameState;
 
   state.phase = 'word-submission';
-  state.phaseStartTime = Date.now();
+  const deadline = startTimedPhase(lobby, 'wordSubmission', state.timing.WORD_SUBMISSION, () => {
+    finishWordSubmission(lobby, io);
+  });
 
-  io.to(roomCode).emit('game:phase', {
+  broadcast(lobby, io, 'game:phase', {
     phase: 'word-submission',
-    timeLimit: TIMING.WORD_SUBMISSION
+    timeLimit: state.timing.WORD_SUBMISSION,
+    deadline
   });
-
-  // Set timer for word submission phase
-  state.timers.wordSubmission = setTimeout(() => {
-    finishWordSubmission(lobby, io);
-  }, TIMING.WORD_SUBMISSION);
 }
 
 /**
@@ -65,24 +116,28 @@ function submitWord(lobby, playerId, word, io) {
   const state = lobby.gameState;
 
   if (state.phase !== 'word-submission') {
-    return { error: 'Not in word submission phase' };
+    return errorResponse('WRONG_PHASE', { expected: 'word submission', phase: state.phase });
+  }
+
+  if (isPastDeadline(lobby)) {
+    return errorResponse('TIME_UP', { deadline: state.phaseDeadline });
   }
 
   if (!word || word.trim().length === 0) {
-    return { error: 'Word cannot be empty' };
+    return errorResponse('EMPTY_WORD');
   }
 
   state.submittedWords[playerId] = word.trim();
 
   const player = lobby.players.get(playerId);
-  io.to(lobby.code).emit('game:word-submitted', {
+  broadcast(lobby, io, 'game:word-submitted', {
     playerId,
     username: player.username
   });
 
   // Check if all players have submitted
-  if (Object.keys(state.submittedWords).length === lobby.players.size) {
-    clearTimeout(state.timers.wordSubmission);
+  if (allRemainingPlayers(lobby, id => state.submittedWords[id] !== undefined)) {
+    clearGameTimer(lobby, 'wordSubmission');
     finishWordSubmission(lobby, io);
   }
 
@@ -94,7 +149,6 @@ function submitWord(lobby, playerId, word, io) {
  */
 function finishWordSubmission(lobby, io) {
   const state = lobby.gameState;
-  const roomCode = lobby.code;
 
   // If no words submitted, use a default
   const words = Object.values(state.submittedWords);
@@ -102,23 +156,21 @@ function finishWordSubmission(lobby, io) {
     state.chosenWord = 'banana'; // Default fallback
   } else {
     // Pick a random word
-    const randomIndex = Math.floor(Math.random() * words.length);
+    const randomIndex = lobby.gameContext.rng.int(words.length);
     state.chosenWord = words[randomIndex];
   }
 
   state.phase = 'drawing';
-  state.phaseStartTime = Date.now();
+  const deadline = startTimedPhase(lobby, 'drawing', state.timing.DRAWING_PHASE, () => {
+    finishDrawing(lobby, io);
+  }, DRAWING_GRACE);
 
-  io.to(roomCode).emit('game:phase', {
+  broadcast(lobby, io, 'game:phase', {
     phase: 'drawing',
     word: state.chosenWord,
-    timeLimit: TIMING.DRAWING_PHASE
+    timeLimit: state.timing.DRAWING_PHASE,
+    deadline
   });
-
-  // Set timer for drawing phase (extra 2s buffer for auto-submit network latency)
-  state.timers.drawing = setTimeout(() => {
-    finishDrawing(lobby, io);
-  }, TIMING.DRAWING_PHASE + 2000);
 }
 
 /**
@@ -128,20 +180,24 @@ function submitDrawing(lobby, playerId, drawingData, io) {
   const state = lobby.gameState;
 
   if (state.phase !== 'drawing') {
-    return { error: 'Not in drawing phase' };
+    return errorResponse('WRONG_PHASE', { expected: 'drawing', phase: state.phase });
+  }
+
+  if (isPastDeadline(lobby)) {
+    return errorResponse('TIME_UP', { deadline: state.phaseDeadline });
   }
 
   state.drawings[playerId] = drawingData;
 
   const player = lobby.players.get(playerId);
-  io.to(lobby.code).emit('game:drawing-submitted', {
+  broadcast(lobby, io, 'game:drawing-submitted', {
     playerId,
     username: player.username
   });
 
   // Check if all players have submitted
-  if (Object.keys(state.drawings).length === lobby.players.size) {
-    clearTimeout(state.timers.drawing);
+  if (allRemainingPlayers(lobby, id => state.drawings[id] !== undefined)) {
+    clearGameTimer(lobby, 'drawing');
     finishDrawing(lobby, io);
   }
 
@@ -153,16 +209,15 @@ function submitDrawing(lobby, playerId, drawingData, io) {
  */
 function finishDrawing(lobby, io) {
   const state = lobby.gameState;
-  const roomCode = lobby.code;
 
   // Create random viewing order
   const playerIds = Array.from(lobby.players.keys());
-  state.viewingOrder = shuffleArray(playerIds);
+  state.viewingOrder = shuffleArray(playerIds, lobby.gameContext.rng);
   state.currentViewingIndex = 0;
   state.phase = 'viewing';
 
   // Notify clients that we're entering viewing phase
-  io.to(roomCode).emit('game:phase', { phase: 'viewing' });
+  broadcast(lobby, io, 'game:phase', { phase: 'viewing' });
 
   // Start viewing the first drawing
   showNextDrawing(lobby, io);
@@ -173,7 +228,6 @@ function finishDrawing(lobby, io) {
  */
 function showNextDrawing(lobby, io) {
   const state = lobby.gameState;
-  const roomCode = lobby.code;
 
   if (state.currentViewingIndex >= state.viewingOrder.length) {
     // All drawings viewed, show results
@@ -193,20 +247,28 @@ function showNextDrawing(lobby, io) {
 
   const drawing = state.drawings[currentPlayerId] || null;
 
-  io.to(roomCode).emit('game:show-drawing', {
+  // Votes are only taken for the drawing on screen, so no grace window
+  const deadline = startTimedPhase(lobby, 'viewing', state.timing.VIEWING_EACH, () => {
+    showNextViewing(lobby, io);
+  }, 0);
+
+  broadcast(lobby, io, 'game:show-drawing', {
     drawingPlayerId: currentPlayerId,
     drawingPlayerUsername: currentPlayer.username,
     drawing: drawing,
     index: state.currentViewingIndex,
     total: state.viewingOrder.length,
-    timeLimit: TIMING.VIEWING_EACH
+    timeLimit: state.timing.VIEWING_EACH,
+    deadline
   });
+}
 
-  // Set timer for next drawing
-  state.timers.viewing = setTimeout(() => {
-    state.currentViewingIndex++;
-    showNextDrawing(lobby, io);
-  }, TIMING.VIEWING_EACH);
+/**
+ * Advance to the next drawing once the current one has been shown
+ */
+function showNextViewing(lobby, io) {
+  lobby.gameState.currentViewingIndex++;
+  showNextDrawing(lobby, io);
 }
 
 /**
@@ -216,22 +278,22 @@ function submitVote(lobby, voterId, drawingOwnerId, voteType, io) {
   const state = lobby.gameState;
 
   if (state.phase !== 'viewing') {
-    return { error: 'Not in viewing phase' };
+    return errorResponse('WRONG_PHASE', { expected: 'viewing', phase: state.phase });
   }
 
   // Can't vote for your own drawing
   if (voterId === drawingOwnerId) {
-    return { error: 'Cannot vote for your own drawing' };
+    return errorResponse('OWN_DRAWING_VOTE');
   }
 
   if (voteType !== 'up' && voteType !== 'down') {
-    return { error: 'Invalid vote type' };
+    return errorResponse('INVALID_VOTE');
   }
 
   // Check if voting for the currently displayed drawing
   const currentDrawingOwner = state.viewingOrder[state.currentViewingIndex];
   if (drawingOwnerId !== currentDrawingOwner) {
-    return { error: 'Can only vote for the current drawing' };
+    return errorResponse('NOT_CURRENT_DRAWING', { currentDrawingOwnerId: currentDrawingOwner });
   }
 
   // Record the vote
@@ -252,7 +314,6 @@ function submitVote(lobby, voterId, drawingOwnerId, voteType, io) {
  */
 function finishViewing(lobby, io) {
   const state = lobby.gameState;
-  const roomCode = lobby.code;
 
   state.phase = 'results';
 
@@ -261,7 +322,7 @@ function finishViewing(lobby, io) {
 
   for (const [playerId, scores] of Object.entries(state.scores)) {
     const player = lobby.players.get(playerId);
-    // Skip disconnected players
+    // Dropped from the round when they left
     if (!player) continue;
 
     const netScore = scores.up - scores.down;
@@ -292,10 +353,7 @@ function finishViewing(lobby, io) {
     }))
   };
 
-  io.to(roomCode).emit('game:phase', { phase: 'results' });
-  io.to(roomCode).emit('game:results', state.results);
-
-  return state.results;
+  return publishResults(lobby, io, state.results);
 }
 
 /**
@@ -310,7 +368,7 @@ function handleAction(lobby, playerId, action, data, io) {
     case 'vote':
       return submitVote(lobby, playerId, data.drawingOwnerId, data.voteType, io);
     default:
-      return { error: `Unknown action: ${action}` };
+      return errorResponse('UNKNOWN_ACTION', { action });
   }
 }
 
@@ -318,27 +376,111 @@ function handleAction(lobby, playerId, action, data, io) {
  * End the game and clean up timers
  */
 function endGame(lobby) {
+  clearGameTimers(lobby);
+  lobby.endGame();
+}
+
+/**
+ * Drop a player who left: their word and drawing are withdrawn, and the
+ * current phase ends early if it was only waiting on them
+ */
+function onPlayerLeave(lobby, playerId, io) {
   const state = lobby.gameState;
-  if (state && state.timers) {
-    for (const timer of Object.values(state.timers)) {
-      clearTimeout(timer);
-    }
+
+  switch (state.phase) {
+    case 'word-submission':
+      delete state.submittedWords[playerId];
+      if (allRemainingPlayers(lobby, id => state.submittedWords[id] !== undefined)) {
+        clearGameTimer(lobby, 'wordSubmission');
+        finishWordSubmission(lobby, io);
+      }
+      break;
+    case 'drawing':
+      delete state.drawings[playerId];
+      if (allRemainingPlayers(lobby, id => state.drawings[id] !== undefined)) {
+        clearGameTimer(lobby, 'drawing');
+        finishDrawing(lobby, io);
+      }
+      break;
+    case 'viewing':
+      // Skip straight past their drawing if it is on screen
+      if (state.viewingOrder[state.currentViewingIndex] === playerId) {
+        clearGameTimer(lobby, 'viewing');
+        showNextViewing(lobby, io);
+      }
+      break;
   }
-  lobby.endGame();
+}
+
+/**
+ * Re-arm timers for a game restored from a snapshot
+ */
+function resumeGame(lobby, io) {
+  restoreGameTimers(lobby, {
+    wordSubmission: () => finishWordSubmission(lobby, io),
+    drawing: () => finishDrawing(lobby, io),
+    viewing: () => showNextViewing(lobby, io)
+  });
 }
 
 /**
  * Shuffle array using Fisher-Yates
  */
-function shuffleArray(arr) {
+function shuffleArray(arr, rng) {
   const shuffled = [...arr];
   for (let i = shuffled.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
+    const j = rng.int(i + 1);
     [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
   }
   return shuffled;
 }
 
+/**
+ * Team mode: the team with the fewest combined net votes loses
+ */
+function getTeamOutcome(results, teams) {
+  const scored = groupByTeam(results.players, teams).map(({ team, rows }) => ({
+    team,
+    rows,
+    score: { netScore: rows.reduce((sum, row) => sum + row.netScore, 0) }
+  }));
+  return rankTeams(scored, (a, b) => a.score.netScore - b.score.netScore);
+}
+
+// What bots submit: a few words to pick from, and a blank 1x1 PNG
+const BOT_WORDS = ['cat', 'house', 'rocket', 'banana', 'castle', 'octopus', 'bicycle', 'volcano'];
+const BOT_DRAWING = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=';
+
+/**
+ * Bot strategy: submit a word, hand in a placeholder drawing partway
+ * through the drawing phase, and vote at random on everyone else's
+ */
+function playBot(bot, event, payload) {
+  const partway = (timeLimit, from, to) => Math.round(timeLimit * (from + (to - from) * bot.rng.next()));
+
+  // Restored: pick the current phase back up from the reconnect state
+  if (event === 'bot:restored') {
+    if (payload.phase === 'viewing' && payload.currentDrawing) {
+      return playBot(bot, 'game:show-drawing', payload.currentDrawing);
+    }
+    if (payload.hasSubmittedWord || payload.hasSubmittedDrawing) return;
+    return playBot(bot, 'game:phase', payload);
+  }
+
+  if (event === 'game:phase' && payload.phase === 'word-submission') {
+    const word = BOT_WORDS[bot.rng.int(BOT_WORDS.length)];
+    bot.after(partway(payload.timeLimit, 0.1, 0.4), () => bot.act('submit-word', { word }));
+  } else if (event === 'game:phase' && payload.phase === 'drawing') {
+    bot.after(partway(payload.timeLimit, 0.3, 0.8), () => bot.act('submit-drawing', { drawing: BOT_DRAWING }));
+  } else if (event === 'game:show-drawing' && payload.drawingPlayerId !== bot.id) {
+    const voteType = bot.rng.next() < 0.5 ? 'up' : 'down';
+    bot.after(partway(payload.timeLimit, 0.2, 0.7), () => bot.act('vote', {
+      drawingOwnerId: payload.drawingPlayerId,
+      voteType
+    }));
+  }
+}
+
 /**
  * Build reconnect state for a player rejoining mid-game
  */
@@ -346,27 +488,24 @@ function getReconnectState(lobby, playerId) {
   const state = lobby.gameState;
   if (!state) return {};
 
-  const elapsed = Date.now() - (state.phaseStartTime || Date.now());
   const base = { phase: state.phase };
 
   switch (state.phase) {
-    case 'word-submission': {
-      const remaining = Math.max(0, TIMING.WORD_SUBMISSION - elapsed);
+    case 'word-submission':
       return {
         ...base,
-        timeLimit: remaining,
+        timeLimit: getTimeRemaining(lobby),
+        deadline: state.phaseDeadline,
         hasSubmittedWord: !!state.submittedWords[playerId]
       };
-    }
-    case 'drawing': {
-      const remaining = Math.max(0, TIMING.DRAWING_PHASE - elapsed);
+    case 'drawing':
       return {
         ...base,
         word: state.chosenWord,
-        timeLimit: remaining,
+        timeLimit: getTimeRemaining(lobby),
+        deadline: state.phaseDeadline,
         hasSubmittedDrawing: !!state.drawings[playerId]
       };
-    }
     case 'viewing': {
       const currentPlayerId = state.viewingOrder[state.currentViewingIndex];
       const currentPlayer = lobby.players.get(currentPlayerId);
@@ -377,7 +516,9 @@ function getReconnectState(lobby, playerId) {
           drawingPlayerUsername: currentPlayer.username,
           drawing: state.drawings[currentPlayerId] || null,
           index: state.currentViewingIndex,
-          total: state.viewingOrder.length
+          total: state.viewingOrder.length,
+          timeLimit: getTimeRemaining(lobby),
+          deadline: state.phaseDeadline
         } : null
       };
     }
@@ -389,10 +530,15 @@ function getReconnectState(lobby, playerId) {
 }
 
 module.exports = {
-  GAME_NAME,
-  initGame,
-  startWordSubmission,
+  meta,
+  actions,
+  init: initGame,
+  start: startWordSubmission,
   handleAction,
-  endGame,
+  end: endGame,
+  onPlayerLeave,
+  resume: resumeGame,
+  getTeamOutcome,
+  playBot,
   getReconnectState
 };
@@ -0,0 +1,62 @@
+/**
+ * Game broadcast helpers.
+ *
+ * Games emit through these instead of `io.to(...).emit(...)` so every
+ * message also lands in the lobby's game log (see Lobby#recordGameEvent),
+ * which `game:replay` serves once the round is over. Listeners registered
+ * with `onGameEvent` see every message too (that is how bots follow a game).
+ */
+
+// Called with (lobby, io, event, payload, recipient) for every game message;
+// `recipient` is the player for private messages and null for broadcasts
+const eventListeners = [];
+
+/**
+ * Run `listener` for every game message sent from now on
+ */
+function onGameEvent(listener) {
+  eventListeners.push(listener);
+}
+
+function notifyListeners(lobby, io, event, payload, recipient) {
+  for (const listener of eventListeners) {
+    listener(lobby, io, event, payload, recipient);
+  }
+}
+
+/**
+ * Emit an event to the whole lobby room and log it
+ */
+function broadcast(lobby, io, event, payload) {
+  if (payload === undefined) {
+    io.to(lobby.code).emit(event);
+  } else {
+    io.to(lobby.code).emit(event, payload);
+  }
+
+  if (event === 'game:phase') {
+    lobby.recordGameEvent({ type: 'phase', phase: payload.phase, data: payload });
+  } else {
+    lobby.recordGameEvent({ type: 'broadcast', event, data: payload ?? null });
+  }
+
+  notifyListeners(lobby, io, event, payload, null);
+}
+
+/**
+ * Emit an event to a single player and log it
+ */
+function sendToPlayer(lobby, io, player, event, payload) {
+  if (player.socketId) {
+    io.to(player.socketId).emit(event, payload);
+  }
+  lobby.recordGameEvent({ type: 'private', event, playerId: player.id, data: payload });
+
+  notifyListeners(lobby, io, event, payload, player);
+}
+
+module.exports = {
+  onGameEvent,
+  broadcast,
+  sendToPlayer
+};
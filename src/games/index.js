@@ -1,56 +1,49 @@
-const deadDrawPoker = require('./deadDrawPoker');
-const drawingGame = require('./drawingGame');
-const multiplyMadness = require('./multiplyMadness');
-const queens = require('./queens');
-
-const games = {
-  [deadDrawPoker.GAME_NAME]: deadDrawPoker,
-  [drawingGame.GAME_NAME]: drawingGame,
-  [multiplyMadness.GAME_NAME]: multiplyMadness,
-  [queens.GAME_NAME]: queens
-};
+const fs = require('fs');
+const path = require('path');
+const { validateGameModule } = require('./contract');
+
+/**
+ * Discover game modules: every directory under src/games with an index.js.
+ * Returns a Map of game id to module.
+ */
+function loadGames(gamesDir) {
+  const loaded = new Map();
+
+  const entries = fs.readdirSync(gamesDir, { withFileTypes: true })
+    .filter(entry => entry.isDirectory())
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+  for (const entry of entries) {
+    const modulePath = path.join(gamesDir, entry.name);
+    if (!fs.existsSync(path.join(modulePath, 'index.js'))) continue;
+
+    const gameModule = require(modulePath);
+    validateGameModule(gameModule, entry.name);
+
+    const { id } = gameModule.meta;
+    if (loaded.has(id)) {
+      throw new Error(`Duplicate game id "${id}" in ${entry.name}`);
+    }
+    loaded.set(id, gameModule);
+  }
+
+  return loaded;
+}
+
+const games = loadGames(__dirname);
 
 /**
  * Get list of available games
  */
 function getAvailableGames() {
-  return [
-    {
-      id: 'dead-draw-poker',
-      name: 'Dead Draw Poker',
-      description: 'Everyone gets 2 cards, 5 community cards are dealt. Worst poker hand loses!',
-      minPlayers: 2,
-      maxPlayers: 8
-    },
-    {
-      id: 'drawing-game',
-      name: 'Drawing Game',
-      description: 'Submit a word, draw the chosen word, vote on drawings. Lowest rated drawing loses!',
-      minPlayers: 2,
-      maxPlayers: 8
-    },
-    {
-      id: 'multiply-madness',
-      name: 'Multiply Madness',
-      description: '15 seconds of multiplication! Answer fast, wrong answers cost 3 seconds. Fewest correct loses!',
-      minPlayers: 2,
-      maxPlayers: 8
-    },
-    {
-      id: 'queens',
-      name: 'Queens',
-      description: 'Race to place 6 queens on a 6x6 grid! One per row, column, and region with no adjacent queens. Slowest solver loses!',
-      minPlayers: 2,
-      maxPlayers: 8
-    }
-  ];
+  return Array.from(games.values()).map(game => ({ ...game.meta }));
 }
 
 /**
  * Get a game module by its ID
  */
 function getGame(gameId) {
-  return games[gameId] || null;
+  return games.get(gameId) || null;
 }
 
 module.exports = {
@@ -1,16 +1,58 @@
+const {
+  getGameTime,
+  startTimedPhase,
+  isPastDeadline,
+  getTimeRemaining,
+  clearGameTimer,
+  clearGameTimers,
+  restoreGameTimers
+} = require('../timers');
+const { publishResults } = require('../results');
+const { groupByTeam, rankTeams } = require('../teams');
+const { broadcast } = require('../events');
+const { allRemainingPlayers } = require('../departures');
+const { errorResponse } = require('../../errors');
+
 const GAME_NAME = 'multiply-madness';
 
-const TIMING = {
-  GAME_DURATION: 15000,  // 15 seconds
-  PENALTY_TIME: 3000,    // 3 second penalty for wrong answers
+const meta = {
+  id: GAME_NAME,
+  name: 'Multiply Madness',
+  description: 'A race against the clock of multiplication! Answer fast, wrong answers cost you time. Fewest correct loses!',
+  minPlayers: 2,
+  maxPlayers: 8,
+  // Quitting a round you are losing still costs a drink
+  departurePolicy: 'forfeit',
+  options: {
+    duration: { type: 'integer', label: 'Round length', unit: 'seconds', default: 15, min: 5, max: 60 },
+    penalty: { type: 'integer', label: 'Wrong answer penalty', unit: 'seconds', default: 3, min: 0, max: 10 },
+    questionCount: { type: 'integer', label: 'Questions', default: 15, min: 5, max: 60 },
+    botAccuracy: { type: 'integer', label: 'Bot accuracy', unit: '%', default: 80, min: 0, max: 100 }
+  }
+};
+
+// Payload schemas for each game:action
+const actions = {
+  'answer': {
+    questionId: { type: 'integer', required: true, min: 0 },
+    answer: { type: 'integer', required: true, min: 0, max: 1000 }
+  }
 };
 
-const QUESTION_COUNT = 15;
+/**
+ * Timing (in ms) for a game's options
+ */
+function getTiming(options) {
+  return {
+    GAME_DURATION: options.duration * 1000,
+    PENALTY_TIME: options.penalty * 1000   // penalty for wrong answers
+  };
+}
 
 /**
  * Generate valid multiplication problems (1-digit x 1-digit with 2-digit answer)
  */
-function generateQuestions() {
+function generateQuestions(count, rng) {
   const validPairs = [];
 
   // Find all pairs where product >= 10
@@ -24,8 +66,8 @@ function generateQuestions() {
 
   // Generate questions by randomly picking from valid pairs
   const questions = [];
-  for (let i = 0; i < QUESTION_COUNT; i++) {
-    const pair = validPairs[Math.floor(Math.random() * validPairs.length)];
+  for (let i = 0; i < count; i++) {
+    const pair = validPairs[rng.int(validPairs.length)];
     questions.push({
       id: i,
       a: pair[0],
@@ -40,23 +82,30 @@ function generateQuestions() {
 /**
  * Initialize the game state
  */
-function initGame(lobby, io) {
+function initGame(lobby, io, options) {
   const playerIds = Array.from(lobby.players.keys());
-  const questions = generateQuestions();
+  const questions = generateQuestions(options.questionCount, lobby.gameContext.rng);
 
   lobby.gameState = {
     phase: 'playing',
-    questions: questions,
-    scores: {},          // playerId -> { correct: number, wrong: number }
-    submissions: {},     // playerId -> boolean (has submitted final score)
+    options,
+    timing: getTiming(options),
+    questions: questions,  // includes answers - never sent to clients mid-game
+    progress: {},          // playerId -> { index, correct, wrong, penaltyUntil, finishedAt }
     results: null,
-    timers: {}
+    timers: {},
+    deadlines: {}
   };
 
-  // Initialize scores for all players
+  // Initialize progress for all players
   for (const playerId of playerIds) {
-    lobby.gameState.scores[playerId] = { correct: 0, wrong: 0 };
-    lobby.gameState.submissions[playerId] = false;
+    lobby.gameState.progress[playerId] = {
+      index: 0,
+      correct: 0,
+      wrong: 0,
+      penaltyUntil: 0,
+      finishedAt: null
+    };
   }
 
   return lobby.gameState;
@@ -66,45 +115,104 @@ function initGame(lobby, io) {
  * Start the game
  */
 function startGame(lobby, io) {
-  const roomCode = lobby.code;
   const state = lobby.gameState;
 
-  state.phaseStartTime = Date.now();
+  const deadline = startTimedPhase(lobby, 'gameEnd', state.timing.GAME_DURATION, () => {
+    finishGame(lobby, io);
+  });
 
-  io.to(roomCode).emit('game:phase', {
+  broadcast(lobby, io, 'game:phase', {
     phase: 'playing',
-    questions: state.questions,
-    timeLimit: TIMING.GAME_DURATION,
-    penaltyTime: TIMING.PENALTY_TIME
+    questions: getPublicQuestions(state),
+    timeLimit: state.timing.GAME_DURATION,
+    deadline,
+    penaltyTime: state.timing.PENALTY_TIME
   });
+}
 
-  // Set timer for game end
-  state.timers.gameEnd = setTimeout(() => {
-    finishGame(lobby, io);
-  }, TIMING.GAME_DURATION + 1000); // Extra second for network latency
+/**
+ * Questions as sent to clients: answers stay on the server
+ */
+function getPublicQuestions(state) {
+  return state.questions.map(({ id, a, b }) => ({ id, a, b }));
 }
 
 /**
- * Handle score submission from a player
+ * Handle a player's answer to their current question.
+ * The server checks the answer, the round window and any wrong-answer
+ * penalty against its own clock, and keeps the score itself.
  */
-function submitScore(lobby, playerId, correct, wrong, io) {
+function submitAnswer(lobby, playerId, questionId, answer, io) {
   const state = lobby.gameState;
 
   if (state.phase !== 'playing') {
-    return { error: 'Game is not in playing phase' };
+    return errorResponse('WRONG_PHASE', { expected: 'playing', phase: state.phase });
   }
 
-  state.scores[playerId] = { correct, wrong };
-  state.submissions[playerId] = true;
+  const progress = state.progress[playerId];
+  if (!progress) {
+    return errorResponse('NOT_IN_ROUND');
+  }
 
-  // Check if all players have submitted
-  const allSubmitted = Object.values(state.submissions).every(s => s);
-  if (allSubmitted) {
-    clearTimeout(state.timers.gameEnd);
-    finishGame(lobby, io);
+  if (isPastDeadline(lobby)) {
+    return errorResponse('TIME_UP', { deadline: state.phaseDeadline });
   }
 
-  return { success: true };
+  const now = lobby.gameContext.clock.now();
+
+  if (progress.finishedAt !== null) {
+    return errorResponse('ALL_ANSWERED');
+  }
+
+  if (now < progress.penaltyUntil) {
+    return errorResponse('PENALTY_ACTIVE', {
+      penaltyUntil: progress.penaltyUntil,
+      penaltyRemaining: progress.penaltyUntil - now
+    });
+  }
+
+  const question = state.questions[progress.index];
+  if (questionId !== question.id) {
+    return errorResponse('NOT_CURRENT_QUESTION', { currentQuestionId: question.id });
+  }
+
+  const correct = Number(answer) === question.answer;
+  if (correct) {
+    progress.correct++;
+  } else {
+    progress.wrong++;
+    progress.penaltyUntil = now + state.timing.PENALTY_TIME;
+  }
+
+  progress.index++;
+  if (progress.index >= state.questions.length) {
+    progress.finishedAt = now;
+  }
+
+  finishIfAllDone(lobby, io);
+
+  return {
+    correct,
+    correctCount: progress.correct,
+    wrongCount: progress.wrong,
+    nextQuestionId: progress.finishedAt === null ? state.questions[progress.index].id : null,
+    penaltyUntil: progress.penaltyUntil,
+    penaltyRemaining: Math.max(0, progress.penaltyUntil - now)
+  };
+}
+
+/**
+ * End the round early once everyone still playing ran out of questions
+ * before the clock did
+ */
+function finishIfAllDone(lobby, io) {
+  const state = lobby.gameState;
+  if (state.phase !== 'playing') return;
+
+  if (allRemainingPlayers(lobby, id => state.progress[id].finishedAt !== null)) {
+    clearGameTimer(lobby, 'gameEnd');
+    finishGame(lobby, io);
+  }
 }
 
 /**
@@ -112,7 +220,6 @@ function submitScore(lobby, playerId, correct, wrong, io) {
  */
 function finishGame(lobby, io) {
   const state = lobby.gameState;
-  const roomCode = lobby.code;
 
   if (state.phase === 'results') return; // Already finished
 
@@ -121,15 +228,15 @@ function finishGame(lobby, io) {
   // Calculate results
   const playerScores = [];
 
-  for (const [playerId, scores] of Object.entries(state.scores)) {
+  for (const [playerId, progress] of Object.entries(state.progress)) {
     const player = lobby.players.get(playerId);
-    if (!player) continue; // Skip disconnected players
+    if (!player) continue; // Left mid-round: the departure policy decides
 
     playerScores.push({
       playerId,
       username: player.username,
-      correct: scores.correct,
-      wrong: scores.wrong
+      correct: progress.correct,
+      wrong: progress.wrong
     });
   }
 
@@ -146,13 +253,11 @@ function finishGame(lobby, io) {
       playerId: l.playerId,
       username: l.username,
       correct: l.correct
-    }))
+    })),
+    questions: state.questions
   };
 
-  io.to(roomCode).emit('game:phase', { phase: 'results' });
-  io.to(roomCode).emit('game:results', state.results);
-
-  return state.results;
+  return publishResults(lobby, io, state.results);
 }
 
 /**
@@ -160,10 +265,10 @@ function finishGame(lobby, io) {
  */
 function handleAction(lobby, playerId, action, data, io) {
   switch (action) {
-    case 'submit-score':
-      return submitScore(lobby, playerId, data.correct, data.wrong, io);
+    case 'answer':
+      return submitAnswer(lobby, playerId, data.questionId, data.answer, io);
     default:
-      return { error: `Unknown action: ${action}` };
+      return errorResponse('UNKNOWN_ACTION', { action });
   }
 }
 
@@ -171,13 +276,93 @@ function handleAction(lobby, playerId, action, data, io) {
  * End the game and clean up timers
  */
 function endGame(lobby) {
-  const state = lobby.gameState;
-  if (state && state.timers) {
-    for (const timer of Object.values(state.timers)) {
-      clearTimeout(timer);
+  clearGameTimers(lobby);
+  lobby.endGame();
+}
+
+/**
+ * A player left: the rest may now all be done (see meta for the forfeit)
+ */
+function onPlayerLeave(lobby, playerId, io) {
+  finishIfAllDone(lobby, io);
+}
+
+/**
+ * Re-arm timers for a game restored from a snapshot
+ */
+function resumeGame(lobby, io) {
+  restoreGameTimers(lobby, {
+    gameEnd: () => finishGame(lobby, io)
+  });
+}
+
+/**
+ * Track each player's best score (most correct answers in a round)
+ */
+function updateProfileStats(stats, playerId, results) {
+  const score = results.players.find(p => p.playerId === playerId);
+  if (!score) return;
+
+  if (stats.bestScore == null || score.correct > stats.bestScore) {
+    stats.bestScore = score.correct;
+  }
+}
+
+/**
+ * Team mode: the team with the lowest average score loses
+ */
+function getTeamOutcome(results, teams) {
+  const scored = groupByTeam(results.players, teams).map(({ team, rows }) => ({
+    team,
+    rows,
+    score: { averageCorrect: rows.reduce((sum, row) => sum + row.correct, 0) / rows.length }
+  }));
+  return rankTeams(scored, (a, b) => a.score.averageCorrect - b.score.averageCorrect);
+}
+
+/**
+ * Push wrong-answer penalties that were running back by the length of a pause
+ */
+function onResume(lobby, pausedFor) {
+  const pausedAt = lobby.gameContext.clock.now() - pausedFor;
+  for (const progress of Object.values(lobby.gameState.progress)) {
+    if (progress.penaltyUntil > pausedAt) {
+      progress.penaltyUntil += pausedFor;
     }
   }
-  lobby.endGame();
+}
+
+/**
+ * Bot strategy: answer one question every 1-3 seconds (waiting out any
+ * penalty), getting each right with the `botAccuracy` chance. A restored
+ * bot carries on from its current question.
+ */
+function playBot(bot, event, payload) {
+  if (event !== 'game:phase' && event !== 'bot:restored') return;
+  if (payload.phase !== 'playing') return;
+
+  const answerNext = (questionId, wait) => {
+    bot.after(wait + 1000 + bot.rng.int(2000), () => {
+      const { a, b } = payload.questions[questionId];
+      const right = bot.rng.next() * 100 < bot.lobby.gameState.options.botAccuracy;
+      const answer = right ? a * b : a * b + 1 + bot.rng.int(9);
+
+      const result = bot.act('answer', { questionId, answer });
+      if (result.nextQuestionId != null) {
+        answerNext(result.nextQuestionId, result.penaltyRemaining);
+      }
+    });
+  };
+
+  if (event === 'bot:restored') {
+    const { progress } = payload;
+    if (progress && progress.currentQuestionId != null) {
+      answerNext(progress.currentQuestionId, progress.penaltyRemaining);
+    }
+    return;
+  }
+
+  answerNext(payload.questions[0].id, 0);
 }
 
 /**
@@ -188,13 +373,20 @@ function getReconnectState(lobby, playerId) {
   if (!state) return {};
 
   if (state.phase === 'playing') {
-    const elapsed = Date.now() - (state.phaseStartTime || Date.now());
-    const remaining = Math.max(0, TIMING.GAME_DURATION - elapsed);
+    const now = getGameTime(lobby);
+    const progress = state.progress[playerId];
     return {
       phase: 'playing',
-      questions: state.questions,
-      timeLimit: remaining,
-      penaltyTime: TIMING.PENALTY_TIME
+      questions: getPublicQuestions(state),
+      timeLimit: getTimeRemaining(lobby),
+      deadline: state.phaseDeadline,
+      penaltyTime: state.timing.PENALTY_TIME,
+      progress: progress ? {
+        currentQuestionId: progress.finishedAt === null ? state.questions[progress.index].id : null,
+        correct: progress.correct,
+        wrong: progress.wrong,
+        penaltyRemaining: Math.max(0, progress.penaltyUntil - now)
+      } : null
     };
   }
 
@@ -206,10 +398,17 @@ function getReconnectState(lobby, playerId) {
 }
 
 module.exports = {
-  GAME_NAME,
-  initGame,
-  startGame,
+  meta,
+  actions,
+  init: initGame,
+  start: startGame,
   handleAction,
-  endGame,
+  end: endGame,
+  onPlayerLeave,
+  resume: resumeGame,
+  onResume,
+  updateProfileStats,
+  getTeamOutcome,
+  playBot,
   getReconnectState
 };
@@ -0,0 +1,111 @@
+/**
+ * Game options.
+ *
+ * A game declares `meta.options` as a map of option name to definition:
+ *
+ *   { type: 'integer', label, default, min, max, unit? }
+ *   { type: 'enum', label, default, choices: [...] }
+ *
+ * Hosts send an `options` object with `game:start`; anything left out falls
+ * back to its default.
+ */
+
+/**
+ * Check that an options schema is well-formed. Returns a list of problems.
+ */
+function getSchemaErrors(schema) {
+  const errors = [];
+
+  if (typeof schema !== 'object' || schema === null || Array.isArray(schema)) {
+    return ['options must be an object'];
+  }
+
+  for (const [name, def] of Object.entries(schema)) {
+    if (typeof def.label !== 'string') {
+      errors.push(`options.${name}.label must be a string`);
+    }
+
+    if (def.type === 'integer') {
+      if (!Number.isInteger(def.min) || !Number.isInteger(def.max) || def.min > def.max) {
+        errors.push(`options.${name} needs integer min <= max`);
+      } else if (!Number.isInteger(def.default) || def.default < def.min || def.default > def.max) {
+        errors.push(`options.${name}.default must be an integer between min and max`);
+      }
+    } else if (def.type === 'enum') {
+      if (!Array.isArray(def.choices) || def.choices.length === 0) {
+        errors.push(`options.${name}.choices must be a non-empty array`);
+      } else if (!def.choices.includes(def.default)) {
+        errors.push(`options.${name}.default must be one of its choices`);
+      }
+    } else {
+      errors.push(`options.${name}.type must be 'integer' or 'enum'`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Get the default value of every option in a schema
+ */
+function getDefaultOptions(schema = {}) {
+  const options = {};
+  for (const [name, def] of Object.entries(schema)) {
+    options[name] = def.default;
+  }
+  return options;
+}
+
+/**
+ * Validate host-supplied options against a schema and fill in defaults.
+ * Returns { options } on success or { error } describing the first problem.
+ */
+function resolveOptions(schema = {}, input) {
+  if (input === undefined || input === null) {
+    return { options: getDefaultOptions(schema) };
+  }
+
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'Options must be an object' };
+  }
+
+  for (const name of Object.keys(input)) {
+    if (!schema[name]) {
+      return { error: `Unknown option: ${name}` };
+    }
+  }
+
+  const options = {};
+
+  for (const [name, def] of Object.entries(schema)) {
+    const value = input[name];
+
+    if (value === undefined) {
+      options[name] = def.default;
+      continue;
+    }
+
+    if (def.type === 'integer') {
+      if (!Number.isInteger(value)) {
+        return { error: `${def.label} must be a whole number` };
+      }
+      if (value < def.min || value > def.max) {
+        return { error: `${def.label} must be between ${def.min} and ${def.max}` };
+      }
+    } else if (def.type === 'enum') {
+      if (!def.choices.includes(value)) {
+        return { error: `${def.label} must be one of: ${def.choices.join(', ')}` };
+      }
+    }
+
+    options[name] = value;
+  }
+
+  return { options };
+}
+
+module.exports = {
+  getSchemaErrors,
+  getDefaultOptions,
+  resolveOptions
+};
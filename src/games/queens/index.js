@@ -1,15 +1,57 @@
+const {
+  startTimedPhase,
+  isPastDeadline,
+  getTimeRemaining,
+  clearGameTimer,
+  clearGameTimers,
+  restoreGameTimers
+} = require('../timers');
+const { publishResults } = require('../results');
+const { groupByTeam, rankTeams } = require('../teams');
+const { broadcast } = require('../events');
+const { allRemainingPlayers } = require('../departures');
+const { errorResponse } = require('../../errors');
+
 const GAME_NAME = 'queens';
 
-const GRID_SIZE = 6;
-const TIME_LIMIT = 60000; // 60 seconds
+const meta = {
+  id: GAME_NAME,
+  name: 'Queens',
+  description: 'Race to place a queen in every row, column, and region of the grid with no adjacent queens. Slowest solver loses!',
+  minPlayers: 2,
+  maxPlayers: 8,
+  // Leaving an unsolved grid counts as losing it
+  departurePolicy: 'forfeit',
+  options: {
+    timeLimit: { type: 'integer', label: 'Time limit', unit: 'seconds', default: 60, min: 15, max: 300 },
+    gridSize: { type: 'integer', label: 'Grid size', default: 6, min: 5, max: 8 }
+  }
+};
+
+// Payload schemas for each game:action
+const actions = {
+  'submit-solution': {
+    queens: {
+      type: 'array',
+      required: true,
+      maxItems: 8,
+      items: {
+        type: 'object',
+        fields: {
+          row: { type: 'integer', required: true },
+          col: { type: 'integer', required: true }
+        }
+      }
+    }
+  }
+};
 
 /**
  * Generate random contiguous regions by building a random spanning tree
  * of the grid graph, then removing (n-1) edges to create n components.
- * Returns a 6x6 grid of region IDs (0 to n-1).
+ * Returns an n x n grid of region IDs (0 to n-1).
  */
-function generateRandomRegions() {
-  const n = GRID_SIZE;
+function generateRandomRegions(n, rng) {
 
   // Build all grid edges
   const edges = [];
@@ -22,7 +64,7 @@ function generateRandomRegions() {
 
   // Shuffle edges for random spanning tree
   for (let i = edges.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
+    const j = rng.int(i + 1);
     [edges[i], edges[j]] = [edges[j], edges[i]];
   }
 
@@ -55,7 +97,7 @@ function generateRandomRegions() {
 
   // Shuffle tree edges, remove first (n-1) to create n components
   for (let i = treeEdges.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
+    const j = rng.int(i + 1);
     [treeEdges[i], treeEdges[j]] = [treeEdges[j], treeEdges[i]];
   }
 
@@ -94,7 +136,7 @@ function generateRandomRegions() {
  * Constraints: one queen per row, column, region, no king-adjacency.
  */
 function findUniqueSolution(grid) {
-  const n = GRID_SIZE;
+  const n = grid.length;
   const cols = new Array(n).fill(-1);
   const usedCols = new Set();
   const usedRegions = new Set();
@@ -144,11 +186,11 @@ function findUniqueSolution(grid) {
  * Strategy: generate random contiguous regions, then check for unique solution.
  * Returns { grid, solution } or throws if generation fails.
  */
-function generatePuzzle() {
+function generatePuzzle(gridSize, rng) {
   const maxAttempts = 2000;
 
   for (let attempt = 0; attempt < maxAttempts; attempt++) {
-    const grid = generateRandomRegions();
+    const grid = generateRandomRegions(gridSize, rng);
     if (!grid) continue;
 
     const solution = findUniqueSolution(grid);
@@ -162,11 +204,11 @@ function generatePuzzle() {
 
 /**
  * Validate a player's submitted solution against the grid.
- * queens: array of { row, col } (length 6)
+ * queens: array of { row, col } (one per row)
  * Returns true if all constraints are satisfied.
  */
 function validateSolution(grid, queens) {
-  const n = GRID_SIZE;
+  const n = grid.length;
 
   if (!Array.isArray(queens) || queens.length !== n) return false;
 
@@ -199,19 +241,29 @@ function validateSolution(grid, queens) {
   return true;
 }
 
+/**
+ * Round length in ms for this game's options.
+ */
+function getTimeLimit(state) {
+  return state.options.timeLimit * 1000;
+}
+
 /**
  * Initialize the game state.
  */
-function initGame(lobby, io) {
-  const { grid, solution } = generatePuzzle();
+function initGame(lobby, io, options) {
+  const { grid, solution } = generatePuzzle(options.gridSize, lobby.gameContext.rng);
 
   lobby.gameState = {
     phase: 'playing',
+    options,
     grid,
     solution,
     solvedPlayers: {}, // playerId -> { solveTime, username }
     phaseStartTime: null,
+    phaseDeadline: null,
     timers: {},
+    deadlines: {},
     results: null
   };
 
@@ -222,21 +274,18 @@ function initGame(lobby, io) {
  * Start the game — emit puzzle to all players and start timer.
  */
 function startGame(lobby, io) {
-  const roomCode = lobby.code;
   const state = lobby.gameState;
 
-  state.phaseStartTime = Date.now();
+  const deadline = startTimedPhase(lobby, 'gameEnd', getTimeLimit(state), () => {
+    finishGame(lobby, io);
+  });
 
-  io.to(roomCode).emit('game:phase', {
+  broadcast(lobby, io, 'game:phase', {
     phase: 'playing',
     grid: state.grid,
-    timeLimit: TIME_LIMIT
+    timeLimit: getTimeLimit(state),
+    deadline
   });
-
-  // Server timer with 1s buffer for network latency
-  state.timers.gameEnd = setTimeout(() => {
-    finishGame(lobby, io);
-  }, TIME_LIMIT + 1000);
 }
 
 /**
@@ -247,7 +296,7 @@ function handleAction(lobby, playerId, action, data, io) {
     case 'submit-solution':
       return submitSolution(lobby, playerId, data.queens, io);
     default:
-      return { error: `Unknown action: ${action}` };
+      return errorResponse('UNKNOWN_ACTION', { action });
   }
 }
 
@@ -258,11 +307,15 @@ function submitSolution(lobby, playerId, queens, io) {
   const state = lobby.gameState;
 
   if (state.phase !== 'playing') {
-    return { error: 'Game is not in playing phase' };
+    return errorResponse('WRONG_PHASE', { expected: 'playing', phase: state.phase });
   }
 
   if (state.solvedPlayers[playerId]) {
-    return { error: 'Already solved', correct: true };
+    return errorResponse('ALREADY_SOLVED', { correct: true });
+  }
+
+  if (isPastDeadline(lobby)) {
+    return errorResponse('TIME_UP', { deadline: state.phaseDeadline });
   }
 
   const correct = validateSolution(state.grid, queens);
@@ -271,7 +324,7 @@ function submitSolution(lobby, playerId, queens, io) {
     return { correct: false };
   }
 
-  const solveTime = Date.now() - state.phaseStartTime;
+  const solveTime = lobby.gameContext.clock.now() - state.phaseStartTime;
   const player = lobby.players.get(playerId);
 
   state.solvedPlayers[playerId] = {
@@ -280,22 +333,35 @@ function submitSolution(lobby, playerId, queens, io) {
   };
 
   // Notify all players that someone solved it
-  io.to(lobby.code).emit('game:player-solved', {
+  broadcast(lobby, io, 'game:player-solved', {
     playerId,
     username: player ? player.username : 'Unknown',
     solveTime
   });
 
-  // Check if all players have solved
-  const totalPlayers = lobby.players.size;
-  const solvedCount = Object.keys(state.solvedPlayers).length;
+  finishIfAllSolved(lobby, io);
+
+  return { correct: true, solveTime };
+}
 
-  if (solvedCount >= totalPlayers) {
-    clearTimeout(state.timers.gameEnd);
+/**
+ * End the game early once every player still in the lobby has solved.
+ */
+function finishIfAllSolved(lobby, io) {
+  const state = lobby.gameState;
+  if (state.phase !== 'playing') return;
+
+  if (allRemainingPlayers(lobby, id => !!state.solvedPlayers[id])) {
+    clearGameTimer(lobby, 'gameEnd');
     finishGame(lobby, io);
   }
+}
 
-  return { correct: true, solveTime };
+/**
+ * A player left (see meta for the forfeit): the rest may all have solved already.
+ */
+function onPlayerLeave(lobby, playerId, io) {
+  finishIfAllSolved(lobby, io);
 }
 
 /**
@@ -303,7 +369,6 @@ function submitSolution(lobby, playerId, queens, io) {
  */
 function finishGame(lobby, io) {
   const state = lobby.gameState;
-  const roomCode = lobby.code;
 
   if (state.phase === 'results') return;
 
@@ -368,25 +433,76 @@ function finishGame(lobby, io) {
     solution: state.solution
   };
 
-  io.to(roomCode).emit('game:phase', { phase: 'results' });
-  io.to(roomCode).emit('game:results', state.results);
-
-  return state.results;
+  return publishResults(lobby, io, state.results);
 }
 
 /**
  * End the game and clean up timers.
  */
 function endGame(lobby) {
-  const state = lobby.gameState;
-  if (state && state.timers) {
-    for (const timer of Object.values(state.timers)) {
-      clearTimeout(timer);
-    }
-  }
+  clearGameTimers(lobby);
   lobby.endGame();
 }
 
+/**
+ * Re-arm timers for a game restored from a snapshot.
+ */
+function resumeGame(lobby, io) {
+  restoreGameTimers(lobby, {
+    gameEnd: () => finishGame(lobby, io)
+  });
+}
+
+/**
+ * Track each player's fastest solve
+ */
+function updateProfileStats(stats, playerId, results) {
+  const score = results.players.find(p => p.playerId === playerId);
+  if (!score || !score.solved) return;
+
+  stats.solves = (stats.solves || 0) + 1;
+  if (stats.bestSolveTime == null || score.solveTime < stats.bestSolveTime) {
+    stats.bestSolveTime = score.solveTime;
+  }
+}
+
+/**
+ * Team mode: a team's time is its slowest member's. Teams where someone
+ * didn't solve lose; if every team solved, the slowest team loses.
+ */
+function getTeamOutcome(results, teams) {
+  const scored = groupByTeam(results.players, teams).map(({ team, rows }) => {
+    const solved = rows.every(row => row.solved);
+    return {
+      team,
+      rows,
+      score: {
+        solved,
+        slowestTime: solved ? Math.max(...rows.map(row => row.solveTime)) : null
+      }
+    };
+  });
+
+  return rankTeams(scored, (a, b) => {
+    if (a.score.solved !== b.score.solved) return a.score.solved ? 1 : -1;
+    if (!a.score.solved) return 0;
+    return b.score.slowestTime - a.score.slowestTime;
+  });
+}
+
+/**
+ * Bot strategy: work out the solution, then take a human-looking 25-85% of
+ * the (remaining) time limit before submitting it.
+ */
+function playBot(bot, event, payload) {
+  if (event !== 'game:phase' && event !== 'bot:restored') return;
+  if (payload.phase !== 'playing' || payload.solved) return;
+
+  const delay = payload.timeLimit * (0.25 + 0.6 * bot.rng.next());
+  const queens = findUniqueSolution(payload.grid).map((col, row) => ({ row, col }));
+  bot.after(Math.round(delay), () => bot.act('submit-solution', { queens }));
+}
+
 /**
  * Build reconnect state for a player rejoining mid-game.
  */
@@ -395,9 +511,6 @@ function getReconnectState(lobby, playerId) {
   if (!state) return {};
 
   if (state.phase === 'playing') {
-    const elapsed = Date.now() - (state.phaseStartTime || Date.now());
-    const remaining = Math.max(0, TIME_LIMIT - elapsed);
-
     const solvedPlayersList = Object.entries(state.solvedPlayers).map(([id, data]) => ({
       playerId: id,
       username: data.username,
@@ -407,7 +520,8 @@ function getReconnectState(lobby, playerId) {
     return {
       phase: 'playing',
       grid: state.grid,
-      timeLimit: remaining,
+      timeLimit: getTimeRemaining(lobby),
+      deadline: state.phaseDeadline,
       solved: !!state.solvedPlayers[playerId],
       solvedPlayers: solvedPlayersList
     };
@@ -421,10 +535,16 @@ function getReconnectState(lobby, playerId) {
 }
 
 module.exports = {
-  GAME_NAME,
-  initGame,
-  startGame,
+  meta,
+  actions,
+  init: initGame,
+  start: startGame,
   handleAction,
-  endGame,
+  end: endGame,
+  onPlayerLeave,
+  resume: resumeGame,
+  updateProfileStats,
+  getTeamOutcome,
+  playBot,
   getReconnectState
 };
@@ -0,0 +1,108 @@
+const { recordGameFinished } = require('../metrics');
+const { broadcast } = require('./events');
+const Profile = require('../models/Profile');
+const { applyTeamOutcome } = require('./teams');
+const { getForfeits, applyDeparturePolicy } = require('./departures');
+
+// Called with (lobby, io, results) after every game's results go out
+const resultsListeners = [];
+
+/**
+ * Run `listener(lobby, io, results)` whenever a game publishes its results
+ */
+function onResults(listener) {
+  resultsListeners.push(listener);
+}
+
+function getCurrentGameModule(lobby) {
+  // Required here rather than at the top: game modules load this file
+  const { getGame } = require('./index');
+  return getGame(lobby.currentGame);
+}
+
+/**
+ * In team mode, turn per-player results into a team outcome using the
+ * game's `getTeamOutcome`
+ */
+function resolveTeams(lobby, results) {
+  const teams = lobby.getTeams().filter(team => team.playerIds.length > 0);
+  if (teams.length < 2) return;
+
+  const gameModule = getCurrentGameModule(lobby);
+  if (!gameModule || !gameModule.getTeamOutcome) return;
+
+  const standings = gameModule.getTeamOutcome(results, teams);
+  if (standings.length >= 2) {
+    applyTeamOutcome(results, standings);
+  }
+}
+
+/**
+ * Update the persistent profile of everyone who took part in a game,
+ * including anyone who forfeited by walking out.
+ * Game modules can add their own records through `updateProfileStats`.
+ */
+function recordProfileStats(lobby, results) {
+  const gameModule = getCurrentGameModule(lobby);
+  const loserIds = new Set((results.losers || []).map(loser => loser.playerId));
+
+  const participants = (results.players || []).map(({ playerId }) => ({
+    playerId,
+    profileId: lobby.players.get(playerId)?.profileId
+  }));
+  if (gameModule && gameModule.meta.departurePolicy === 'forfeit') {
+    participants.push(...getForfeits(lobby));
+  }
+
+  for (const { playerId, profileId } of participants) {
+    const profile = Profile.findById(profileId);
+    if (!profile) continue;
+
+    const stats = profile.getGameStats(lobby.currentGame);
+    stats.played++;
+    if (loserIds.has(playerId)) stats.losses++;
+
+    if (gameModule && gameModule.updateProfileStats) {
+      gameModule.updateProfileStats(stats, playerId, results);
+    }
+    Profile.changed = true;
+  }
+}
+
+/**
+ * Publish a finished game's results.
+ * Every game module funnels its results through here so that lobby-wide
+ * bookkeeping (like the drink ledger) happens in one place.
+ */
+function publishResults(lobby, io, results) {
+  const roomCode = lobby.code;
+
+  // The seed lets anyone replay a disputed round
+  results.seed = lobby.gameContext.seed;
+
+  resolveTeams(lobby, results);
+  applyDeparturePolicy(lobby, results, getCurrentGameModule(lobby)?.meta.departurePolicy);
+
+  lobby.gameState.results = results;
+  lobby.recordLosers(lobby.currentGame, results.losers);
+  recordProfileStats(lobby, results);
+  recordGameFinished(
+    lobby.currentGame,
+    lobby.gameStartedAt ? lobby.gameContext.clock.now() - lobby.gameStartedAt : null
+  );
+
+  broadcast(lobby, io, 'game:phase', { phase: 'results' });
+  broadcast(lobby, io, 'game:results', results);
+  io.to(roomCode).emit('lobby:ledger', { ledger: lobby.getLedger() });
+
+  for (const listener of resultsListeners) {
+    listener(lobby, io, results);
+  }
+
+  return results;
+}
+
+module.exports = {
+  onResults,
+  publishResults
+};
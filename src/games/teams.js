@@ -0,0 +1,65 @@
+/**
+ * Team mode helpers.
+ *
+ * Games that support teams export `getTeamOutcome(results, teams)`, where
+ * `teams` is a list of `{ id, name, playerIds }`. It returns a list of team
+ * standings, one per team that took part, each with a `lost` flag.
+ */
+
+/**
+ * Group per-player result rows by team. Teams with nobody in the results
+ * are left out.
+ */
+function groupByTeam(rows, teams) {
+  return teams
+    .map(team => ({
+      team,
+      rows: rows.filter(row => team.playerIds.includes(row.playerId))
+    }))
+    .filter(group => group.rows.length > 0);
+}
+
+/**
+ * Standings from one score per team. `compare` sorts worst first; every
+ * team tied with the worst loses.
+ */
+function rankTeams(scored, compare) {
+  const sorted = [...scored].sort(compare);
+  const worst = sorted[0];
+
+  return sorted.map(entry => ({
+    teamId: entry.team.id,
+    name: entry.team.name,
+    playerIds: entry.rows.map(row => row.playerId),
+    ...entry.score,
+    lost: compare(entry, worst) === 0
+  }));
+}
+
+/**
+ * Replace per-player losers with every member of the losing team(s).
+ * Each loser carries its team, and `results.teams` gets the standings.
+ */
+function applyTeamOutcome(results, standings) {
+  const losers = [];
+  for (const standing of standings.filter(s => s.lost)) {
+    for (const playerId of standing.playerIds) {
+      const row = results.players.find(p => p.playerId === playerId);
+      losers.push({
+        playerId,
+        username: row.username,
+        team: { id: standing.teamId, name: standing.name }
+      });
+    }
+  }
+
+  results.teams = standings;
+  results.losers = losers;
+  return results;
+}
+
+module.exports = {
+  groupByTeam,
+  rankTeams,
+  applyTeamOutcome
+};
@@ -0,0 +1,222 @@
+const { systemClock } = require('./context');
+
+/**
+ * Game timer helpers.
+ *
+ * Every timer is tracked in two places on the lobby's game state: the live
+ * handle and callback in `state.timers` and its absolute deadline in
+ * `state.deadlines`. Only the deadlines survive a snapshot, which is what
+ * lets a restored game pick its timers back up where it left off. Timers run
+ * on the game's clock (see ./context).
+ *
+ * A paused game keeps each timer's remaining time in `state.paused.remaining`
+ * instead of a deadline, and its callbacks wait in `state.timers` without a
+ * handle until the game resumes.
+ *
+ * Timed phases (see startTimedPhase) also publish an absolute deadline in
+ * `state.phaseDeadline`, on the same clock clients sync to with `time:sync`.
+ */
+
+// How long after a phase deadline submissions still count, to cover
+// network latency. The phase's timer fires when this window closes.
+const SUBMISSION_GRACE = 500;
+
+function getClock(lobby) {
+  return lobby.gameContext?.clock || systemClock;
+}
+
+/**
+ * Current game time: frozen at the moment of pausing while the game is paused
+ */
+function getGameTime(lobby) {
+  const paused = lobby.gameState?.paused;
+  return paused ? paused.since : getClock(lobby).now();
+}
+
+/**
+ * Schedule a named timer, replacing any existing timer with the same name
+ */
+function setGameTimer(lobby, name, ms, callback) {
+  const state = lobby.gameState;
+  const clock = getClock(lobby);
+  clearGameTimer(lobby, name);
+
+  if (!state.timers) state.timers = {};
+  if (!state.deadlines) state.deadlines = {};
+
+  // Scheduled while paused: hold it until the game resumes
+  if (state.paused) {
+    state.paused.remaining[name] = ms;
+    state.timers[name] = { handle: null, callback };
+    return;
+  }
+
+  state.deadlines[name] = clock.now() + ms;
+  const handle = clock.setTimeout(() => {
+    delete state.timers[name];
+    delete state.deadlines[name];
+    callback();
+  }, ms);
+  state.timers[name] = { handle, callback };
+}
+
+/**
+ * Start a timed phase lasting `ms`: record its start and absolute deadline,
+ * and run `onTimeUp` under the timer `name` once the deadline plus the
+ * `grace` window has passed. Returns the deadline, for the phase broadcast.
+ */
+function startTimedPhase(lobby, name, ms, onTimeUp, grace = SUBMISSION_GRACE) {
+  const state = lobby.gameState;
+  const now = getGameTime(lobby);
+
+  state.phaseStartTime = now;
+  state.phaseDeadline = now + ms;
+  state.phaseGrace = grace;
+  setGameTimer(lobby, name, ms + grace, onTimeUp);
+
+  return state.phaseDeadline;
+}
+
+/**
+ * Whether the current phase's deadline and grace window have both passed
+ */
+function isPastDeadline(lobby) {
+  const { phaseDeadline, phaseGrace } = lobby.gameState;
+  if (phaseDeadline == null) return false;
+  return getGameTime(lobby) > phaseDeadline + (phaseGrace ?? SUBMISSION_GRACE);
+}
+
+/**
+ * Time left (in ms) before the current phase's published deadline
+ */
+function getTimeRemaining(lobby) {
+  const { phaseDeadline } = lobby.gameState;
+  return phaseDeadline == null ? 0 : Math.max(0, phaseDeadline - getGameTime(lobby));
+}
+
+/**
+ * Cancel a named timer
+ */
+function clearGameTimer(lobby, name) {
+  const state = lobby.gameState;
+  if (state.timers && state.timers[name]) {
+    if (state.timers[name].handle) {
+      getClock(lobby).clearTimeout(state.timers[name].handle);
+    }
+    delete state.timers[name];
+  }
+  if (state.deadlines) {
+    delete state.deadlines[name];
+  }
+  if (state.paused) {
+    delete state.paused.remaining[name];
+  }
+}
+
+/**
+ * Cancel every timer on the lobby's game
+ */
+function clearGameTimers(lobby) {
+  const state = lobby.gameState;
+  if (!state) return;
+  for (const name of Object.keys(state.timers || {})) {
+    clearGameTimer(lobby, name);
+  }
+  state.deadlines = {};
+}
+
+/**
+ * Freeze every timer, keeping its remaining time. `reason` is a short tag
+ * ('host', 'disconnect') kept on `state.paused`.
+ */
+function pauseGameTimers(lobby, reason) {
+  const state = lobby.gameState;
+  const now = getClock(lobby).now();
+  const remaining = {};
+
+  for (const [name, timer] of Object.entries(state.timers || {})) {
+    if (timer.handle) {
+      getClock(lobby).clearTimeout(timer.handle);
+      timer.handle = null;
+    }
+    remaining[name] = Math.max(0, (state.deadlines[name] ?? now) - now);
+  }
+
+  state.deadlines = {};
+  state.paused = { since: now, reason, remaining };
+}
+
+/**
+ * Restart frozen timers with their remaining time and shift
+ * `state.phaseStartTime` and `state.phaseDeadline` forward by the pause.
+ * Returns how long the game was paused (in ms).
+ */
+function resumeGameTimers(lobby) {
+  const state = lobby.gameState;
+  const { since, remaining } = state.paused;
+  const pausedFor = getClock(lobby).now() - since;
+
+  const timers = state.timers || {};
+  state.paused = null;
+  state.timers = {};
+
+  if (state.phaseStartTime) {
+    state.phaseStartTime += pausedFor;
+  }
+  if (state.phaseDeadline) {
+    state.phaseDeadline += pausedFor;
+  }
+
+  for (const [name, ms] of Object.entries(remaining)) {
+    if (timers[name]) {
+      setGameTimer(lobby, name, ms, timers[name].callback);
+    }
+  }
+
+  return pausedFor;
+}
+
+/**
+ * Re-arm timers from their saved deadlines.
+ * `callbacks` maps timer names to the function to run when each one fires.
+ * Deadlines that passed while the server was down fire immediately. A game
+ * saved while paused gets its callbacks back but stays paused.
+ */
+function restoreGameTimers(lobby, callbacks) {
+  const state = lobby.gameState;
+  state.timers = {};
+
+  if (state.paused) {
+    for (const name of Object.keys(state.paused.remaining)) {
+      if (callbacks[name]) {
+        state.timers[name] = { handle: null, callback: callbacks[name] };
+      } else {
+        delete state.paused.remaining[name];
+      }
+    }
+    return;
+  }
+
+  const deadlines = { ...(state.deadlines || {}) };
+  for (const [name, deadline] of Object.entries(deadlines)) {
+    const callback = callbacks[name];
+    if (!callback) {
+      delete state.deadlines[name];
+      continue;
+    }
+    setGameTimer(lobby, name, Math.max(0, deadline - getClock(lobby).now()), callback);
+  }
+}
+
+module.exports = {
+  getGameTime,
+  setGameTimer,
+  startTimedPhase,
+  isPastDeadline,
+  getTimeRemaining,
+  clearGameTimer,
+  clearGameTimers,
+  pauseGameTimers,
+  resumeGameTimers,
+  restoreGameTimers
+};
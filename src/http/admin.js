@@ -0,0 +1,133 @@
+const crypto = require('crypto');
+const Lobby = require('../models/Lobby');
+const { closeLobby } = require('../socket');
+
+/**
+ * Admin HTTP API. Every route requires `Authorization: Bearer <token>`.
+ *
+ *   GET    /admin/lobbies                 list lobbies
+ *   GET    /admin/lobbies/:code           one lobby's full state
+ *   DELETE /admin/lobbies/:code?message=  force-close a lobby
+ */
+
+/**
+ * Constant-time bearer token check
+ */
+function isAuthorized(req, token) {
+  const header = req.headers.authorization || '';
+  const match = header.match(/^Bearer (.+)$/);
+  if (!match) return false;
+
+  const expected = Buffer.from(token);
+  const actual = Buffer.from(match[1]);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Summary of a lobby for the list view
+ */
+function summarizeLobby(lobby) {
+  const host = lobby.getHost();
+  return {
+    code: lobby.code,
+    host: host ? host.username : null,
+    players: Array.from(lobby.players.values()).map(p => p.toPublic()),
+    spectatorCount: lobby.spectators.size,
+    currentGame: lobby.currentGame,
+    phase: lobby.gameState ? lobby.gameState.phase || null : null,
+    createdAt: lobby.createdAt,
+    ageSeconds: Math.floor((Date.now() - lobby.createdAt) / 1000)
+  };
+}
+
+/**
+ * Everything about a lobby, including the raw game state (minus timer handles)
+ */
+function describeLobby(lobby) {
+  let gameState = null;
+  if (lobby.gameState) {
+    const { timers, ...rest } = lobby.gameState;
+    gameState = rest;
+  }
+
+  return {
+    ...summarizeLobby(lobby),
+    lobby: lobby.toPublic(),
+    gameOptions: lobby.gameOptions,
+    gameStartedAt: lobby.gameStartedAt,
+    gameState,
+    bannedUsernames: Array.from(lobby.bannedUsernames)
+  };
+}
+
+/**
+ * Create the admin request handler. Returns a function that answers admin
+ * routes and returns true, or returns false for anything else.
+ * With no token configured the admin API is disabled.
+ */
+function createAdminHandler({ io, token }) {
+  return function handleAdminRequest(req, res) {
+    let url;
+    try {
+      url = new URL(req.url, 'http://localhost');
+    } catch (error) {
+      return false; // Malformed request target: not an admin route
+    }
+    if (url.pathname !== '/admin' && !url.pathname.startsWith('/admin/')) {
+      return false;
+    }
+
+    if (!token) {
+      sendJson(res, 404, { error: 'Admin API is disabled' });
+      return true;
+    }
+
+    if (!isAuthorized(req, token)) {
+      res.setHeader('WWW-Authenticate', 'Bearer');
+      sendJson(res, 401, { error: 'Unauthorized' });
+      return true;
+    }
+
+    if (url.pathname === '/admin/lobbies' && req.method === 'GET') {
+      const lobbies = Array.from(Lobby.lobbies.values()).map(summarizeLobby);
+      sendJson(res, 200, { lobbies });
+      return true;
+    }
+
+    const match = url.pathname.match(/^\/admin\/lobbies\/([A-Za-z]+)$/);
+    if (match) {
+      const lobby = Lobby.findByCode(match[1]);
+      if (!lobby) {
+        sendJson(res, 404, { error: 'Lobby not found' });
+        return true;
+      }
+
+      if (req.method === 'GET') {
+        sendJson(res, 200, describeLobby(lobby));
+        return true;
+      }
+
+      if (req.method === 'DELETE') {
+        const message = url.searchParams.get('message') || 'Closed by an administrator';
+        closeLobby(lobby, 'admin', io, message);
+        sendJson(res, 200, { success: true, code: lobby.code });
+        return true;
+      }
+
+      sendJson(res, 405, { error: 'Method not allowed' });
+      return true;
+    }
+
+    sendJson(res, 404, { error: 'Not Found' });
+    return true;
+  };
+}
+
+module.exports = {
+  createAdminHandler
+};
@@ -1,8 +1,40 @@
 const { createServer } = require('http');
 const { Server } = require('socket.io');
-const { setupSocketHandlers } = require('./socket');
+const {
+  setupSocketHandlers,
+  restoreLobbies,
+  saveLobbies,
+  restoreProfiles,
+  saveProfiles,
+  startSnapshotting,
+  startLobbyReaper,
+  drainLobbies,
+  stopGameTimers
+} = require('./socket');
+const { createLobbyStore, createProfileStore } = require('./store');
+const { renderMetrics } = require('./metrics');
+const { createAdminHandler } = require('./http/admin');
+const { loadConfig } = require('./config');
+const Lobby = require('./models/Lobby');
 
-const PORT = process.env.PORT || 3001;
+// Load and validate settings before anything starts
+let config;
+try {
+  config = loadConfig();
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
+
+const PORT = config.port;
+
+Lobby.configure(config.lobby);
+
+// Lobby store used to survive restarts ('memory' or 'file')
+const lobbyStore = createLobbyStore(config.lobbyStore);
+
+// Player profile store ('memory' or 'file')
+const profileStore = createProfileStore(config.profileStore);
 
 // Create HTTP server
 const httpServer = createServer((req, res) => {
@@ -13,6 +45,18 @@ const httpServer = createServer((req, res) => {
     return;
   }
 
+  // Prometheus scrape endpoint
+  if (req.url === '/metrics') {
+    res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+    res.end(renderMetrics());
+    return;
+  }
+
+  // Authenticated admin API (/admin/...)
+  if (handleAdminRequest(req, res)) {
+    return;
+  }
+
   res.writeHead(404);
   res.end('Not Found');
 });
@@ -20,21 +64,37 @@ const httpServer = createServer((req, res) => {
 // Create Socket.IO server with CORS config
 const io = new Server(httpServer, {
   cors: {
-    origin: [
-      'http://localhost:3000',
-      'https://games.droov.info'
-    ],
+    origin: config.corsOrigins,
     methods: ['GET', 'POST'],
     credentials: true
   }
 });
 
 // Set up socket handlers
-setupSocketHandlers(io);
+setupSocketHandlers(io, config);
+
+// Admin API is disabled unless an admin token is configured
+const handleAdminRequest = createAdminHandler({ io, token: config.adminToken });
 
-// Start server
-httpServer.listen(PORT, () => {
-  console.log(`
+let stopSnapshotting = null;
+let stopProfileSnapshotting = null;
+const stopReaper = startLobbyReaper(io, config.reaper);
+
+// Load profiles and restore saved lobbies, then start server
+restoreProfiles(profileStore).then((profileCount) => {
+  if (profileCount > 0) {
+    console.log(`Loaded ${profileCount} player profiles`);
+  }
+  return restoreLobbies(lobbyStore, io);
+}).then((count) => {
+  if (count > 0) {
+    console.log(`Restored ${count} lobbies from the lobby store`);
+  }
+  const { snapshotInterval } = config.lobbyStore;
+  stopSnapshotting = startSnapshotting(lobbyStore, snapshotInterval);
+  stopProfileSnapshotting = startSnapshotting(profileStore, snapshotInterval, saveProfiles);
+  httpServer.listen(PORT, () => {
+    console.log(`
 ╔════════════════════════════════════════════╗
 ║                                            ║
 ║    🎮 Drinkingames Server Running! 🍻      ║
@@ -43,14 +103,43 @@ httpServer.listen(PORT, () => {
 ║    Health: http://localhost:${PORT}/health    ║
 ║                                            ║
 ╚════════════════════════════════════════════╝
-  `);
+    `);
+  });
+}).catch((error) => {
+  console.error('Failed to restore saved state:', error);
+  process.exit(1);
 });
 
-// Graceful shutdown
-process.on('SIGINT', () => {
-  console.log('\nShutting down server...');
-  io.close(() => {
-    console.log('Server closed');
-    process.exit(0);
+// Graceful shutdown: let running games finish (up to shutdown.drainTimeout),
+// save everything, then exit. A second signal exits straight away.
+let shuttingDown = false;
+
+function shutdown(signal) {
+  if (shuttingDown) {
+    console.log(`\nReceived ${signal} again, exiting now`);
+    process.exit(1);
+  }
+  shuttingDown = true;
+
+  console.log(`\nReceived ${signal}, shutting down server...`);
+  stopReaper();
+  if (stopSnapshotting) stopSnapshotting();
+  if (stopProfileSnapshotting) stopProfileSnapshotting();
+
+  drainLobbies(io, config.shutdown).then(() => Promise.all([
+    saveLobbies(lobbyStore),
+    saveProfiles(profileStore)
+  ])).catch((error) => {
+    console.error('Error saving snapshot:', error);
+  }).finally(() => {
+    // Not before saving: unfinished games resume from the saved timer deadlines
+    stopGameTimers();
+    io.close(() => {
+      console.log('Server closed');
+      process.exit(0);
+    });
   });
-});
+}
+
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
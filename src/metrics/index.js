@@ -0,0 +1,163 @@
+const Lobby = require('../models/Lobby');
+
+/**
+ * Prometheus-style metrics, rendered in the text exposition format.
+ * Counters live in memory and reset when the server restarts; gauges are
+ * computed from the live lobbies at scrape time.
+ */
+
+const PREFIX = 'drinkingames';
+
+/**
+ * Serialize a label set as {key="value",...}
+ */
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  const parts = entries.map(([key, value]) => {
+    const escaped = String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+    return `${key}="${escaped}"`;
+  });
+  return `{${parts.join(',')}}`;
+}
+
+class Counter {
+  constructor(name, help) {
+    this.name = `${PREFIX}_${name}`;
+    this.help = help;
+    this.values = new Map(); // formatted labels -> value
+  }
+
+  inc(labels = {}, value = 1) {
+    const key = formatLabels(labels);
+    this.values.set(key, (this.values.get(key) || 0) + value);
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} counter`];
+    for (const [labels, value] of this.values) {
+      lines.push(`${this.name}${labels} ${value}`);
+    }
+    return lines.join('\n');
+  }
+}
+
+class Summary {
+  constructor(name, help) {
+    this.name = `${PREFIX}_${name}`;
+    this.help = help;
+    this.values = new Map(); // formatted labels -> { labels, sum, count }
+  }
+
+  observe(labels, value) {
+    const key = formatLabels(labels);
+    const entry = this.values.get(key) || { labels, sum: 0, count: 0 };
+    entry.sum += value;
+    entry.count++;
+    this.values.set(key, entry);
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} summary`];
+    for (const [key, { sum, count }] of this.values) {
+      lines.push(`${this.name}_sum${key} ${sum}`);
+      lines.push(`${this.name}_count${key} ${count}`);
+    }
+    return lines.join('\n');
+  }
+}
+
+const gamesStarted = new Counter('games_started_total', 'Games started, by game');
+const gamesFinished = new Counter('games_finished_total', 'Games that reached their results, by game');
+const gameDuration = new Summary('game_duration_seconds', 'Time from game start to results, by game');
+const reconnects = new Counter('reconnects_total', 'player:reconnect attempts, by result');
+const socketEvents = new Counter('socket_events_total', 'Socket events received, by event');
+const socketEventErrors = new Counter('socket_event_errors_total', 'Socket events answered with an error, by event');
+
+function recordGameStarted(gameId) {
+  gamesStarted.inc({ game_id: gameId });
+}
+
+function recordGameFinished(gameId, durationMs) {
+  gamesFinished.inc({ game_id: gameId });
+  if (durationMs !== null && durationMs >= 0) {
+    gameDuration.observe({ game_id: gameId }, durationMs / 1000);
+  }
+}
+
+function recordReconnect(success) {
+  reconnects.inc({ result: success ? 'success' : 'failure' });
+}
+
+function recordSocketEvent(event, failed) {
+  socketEvents.inc({ event });
+  if (failed) {
+    socketEventErrors.inc({ event });
+  }
+}
+
+/**
+ * Render a gauge from a list of [labels, value] samples
+ */
+function renderGauge(name, help, samples) {
+  const fullName = `${PREFIX}_${name}`;
+  const lines = [`# HELP ${fullName} ${help}`, `# TYPE ${fullName} gauge`];
+  for (const [labels, value] of samples) {
+    lines.push(`${fullName}${formatLabels(labels)} ${value}`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Render every metric in the Prometheus text format
+ */
+function renderMetrics() {
+  let connected = 0;
+  let disconnected = 0;
+  let bots = 0;
+  let spectators = 0;
+  const inProgress = {};
+
+  for (const lobby of Lobby.lobbies.values()) {
+    for (const player of lobby.players.values()) {
+      if (player.isBot) bots++;
+      else if (player.disconnected) disconnected++;
+      else connected++;
+    }
+    spectators += lobby.spectators.size;
+    if (lobby.currentGame) {
+      inProgress[lobby.currentGame] = (inProgress[lobby.currentGame] || 0) + 1;
+    }
+  }
+
+  const averageDuration = Array.from(gameDuration.values.values())
+    .map(({ labels, sum, count }) => [labels, sum / count]);
+
+  const sections = [
+    renderGauge('lobbies_active', 'Lobbies currently open', [[{}, Lobby.lobbies.size]]),
+    renderGauge('players_connected', 'Players with a live socket', [[{}, connected]]),
+    renderGauge('players_disconnected', 'Players inside the disconnect grace period', [[{}, disconnected]]),
+    renderGauge('bots', 'Bot players across all lobbies', [[{}, bots]]),
+    renderGauge('spectators', 'Spectators across all lobbies', [[{}, spectators]]),
+    renderGauge('games_in_progress', 'Games currently running, by game',
+      Object.entries(inProgress).map(([gameId, count]) => [{ game_id: gameId }, count])),
+    gamesStarted.render(),
+    gamesFinished.render(),
+    gameDuration.render(),
+    renderGauge('game_duration_seconds_average', 'Average time from game start to results, by game',
+      averageDuration),
+    reconnects.render(),
+    socketEvents.render(),
+    socketEventErrors.render()
+  ];
+
+  return sections.join('\n\n') + '\n';
+}
+
+module.exports = {
+  recordGameStarted,
+  recordGameFinished,
+  recordReconnect,
+  recordSocketEvent,
+  renderMetrics
+};
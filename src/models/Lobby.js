@@ -1,15 +1,76 @@
+const crypto = require('crypto');
+const Player = require('./Player');
 const { generateUniqueLobbyCode } = require('../utils/codeGenerator');
+const { clearGameTimer, clearGameTimers } = require('../games/timers');
+const { createGameContext, serializeGameContext } = require('../games/context');
+const { recordDeparture } = require('../games/departures');
+const { ProtocolError } = require('../errors');
+
+// Oldest entries are dropped past this many events per game
+const MAX_GAME_LOG_EVENTS = 1000;
+
+// Longer strings (drawings, mostly) are logged as a placeholder
+const MAX_LOGGED_STRING_LENGTH = 1000;
+
+/**
+ * Copy event data for the game log, replacing oversized strings with
+ * `{ omitted: true, length }`
+ */
+function summarizeLogData(value) {
+  if (typeof value === 'string') {
+    return value.length > MAX_LOGGED_STRING_LENGTH ? { omitted: true, length: value.length } : value;
+  }
+  if (Array.isArray(value)) {
+    return value.map(summarizeLogData);
+  }
+  if (value && typeof value === 'object') {
+    const copy = {};
+    for (const [key, item] of Object.entries(value)) {
+      copy[key] = summarizeLogData(item);
+    }
+    return copy;
+  }
+  return value;
+}
 
 class Lobby {
   static lobbies = new Map();
 
+  // Size limits, overridden from the server config via Lobby.configure()
+  static limits = {
+    maxPlayers: 8,
+    maxSpectators: 16
+  };
+
+  /**
+   * Apply lobby limits from the server config
+   */
+  static configure({ maxPlayers, maxSpectators }) {
+    Lobby.limits = { maxPlayers, maxSpectators };
+  }
+
   constructor(host) {
     this.code = generateUniqueLobbyCode(new Set(Lobby.lobbies.keys()));
     this.players = new Map();
+    this.spectators = new Map();
     this.hostId = host.id;
+    this.bannedUsernames = new Set(); // lowercased
     this.currentGame = null;
+    this.gameOptions = null;
     this.gameState = null;
+    this.gameContext = null; // seeded RNG and clock for the current game
+    this.gameStartedAt = null;
+    this.gameLog = null; // event log of the current or last game
+    this.lastGameLog = null; // log of the game before that, kept for replays while a new one runs
+    this.teams = []; // [{ id, name }] while in team mode
+    this.rematchUnanimous = false; // rematches need every connected player ready
+    this.autoPause = false; // pause the game while an active player is disconnected
+    this.playlist = null; // { entries, position, resultsPause, nextAt, timer } while a playlist runs
+    this.ledger = new Map(); // playerId -> { playerId, username, drinks, byGame }
+    this.gamesPlayed = 0;
     this.createdAt = Date.now();
+    this.lastActivityAt = this.createdAt;
+    this.idleWarningSentAt = null;
 
     // Add host to the lobby
     this.addPlayer(host);
@@ -20,42 +81,150 @@ class Lobby {
   }
 
   addPlayer(player) {
-    if (this.players.size >= 8) {
-      throw new Error('Lobby is full (max 8 players)');
+    const { maxPlayers } = Lobby.limits;
+    if (this.players.size >= maxPlayers) {
+      throw new ProtocolError('LOBBY_FULL', { maxPlayers });
     }
     if (this.currentGame) {
-      throw new Error('Cannot join while a game is in progress');
+      throw new ProtocolError('GAME_IN_PROGRESS', { canSpectate: true });
     }
     this.players.set(player.id, player);
     player.lobbyCode = this.code;
+    player.teamId = this.teams.length > 0 ? this.getSmallestTeam().id : null;
+  }
+
+  addSpectator(spectator) {
+    const { maxSpectators } = Lobby.limits;
+    if (this.spectators.size >= maxSpectators) {
+      throw new ProtocolError('SPECTATORS_FULL', { maxSpectators });
+    }
+    spectator.isSpectator = true;
+    spectator.lobbyCode = this.code;
+    this.spectators.set(spectator.id, spectator);
+  }
+
+  /**
+   * Move a spectator into the player list. Only allowed between games.
+   */
+  promoteSpectator(spectatorId) {
+    const spectator = this.spectators.get(spectatorId);
+    if (!spectator) {
+      throw new ProtocolError('SPECTATOR_NOT_FOUND');
+    }
+    this.addPlayer(spectator);
+    this.spectators.delete(spectatorId);
+    spectator.isSpectator = false;
+    spectator.wantsToPlay = false;
+    return spectator;
   }
 
-  removePlayer(playerId) {
+  /**
+   * Remove a player or spectator. `reason` is 'left', 'disconnected',
+   * 'kicked' or 'banned'. A player leaving mid-game is handed to the game's
+   * departure policy (see games/departures.js), which may finish the round
+   * on the spot, hence `io`.
+   */
+  removePlayer(playerId, io, reason = 'left') {
+    const spectator = this.spectators.get(playerId);
+    if (spectator) {
+      spectator.lobbyCode = null;
+      this.spectators.delete(playerId);
+      return {};
+    }
+
     const player = this.players.get(playerId);
-    if (player) {
-      player.lobbyCode = null;
-      this.players.delete(playerId);
-
-      // If host leaves, assign new host or destroy lobby
-      if (playerId === this.hostId) {
-        if (this.players.size > 0) {
-          const newHost = this.players.values().next().value;
-          newHost.isHost = true;
-          this.hostId = newHost.id;
-          return { newHost };
-        } else {
-          this.destroy();
-          return { destroyed: true };
-        }
+    if (!player) return {};
+
+    player.lobbyCode = null;
+    this.players.delete(playerId);
+
+    // Drop the bot's pending move (see socket/bots.js)
+    if (player.isBot && this.gameState) {
+      clearGameTimer(this, `bot:${playerId}`);
+    }
+
+    let result = {};
+
+    // If host leaves, assign new host or destroy lobby (bots can't host)
+    if (playerId === this.hostId) {
+      const newHost = Array.from(this.players.values()).find(p => !p.isBot);
+      if (newHost) {
+        newHost.isHost = true;
+        this.hostId = newHost.id;
+        result = { newHost };
+      } else {
+        this.destroy();
+        return { destroyed: true };
       }
     }
-    return {};
+
+    if (this.currentGame && this.gameState?.phase !== 'results') {
+      this.handleGameDeparture(player, io, reason);
+    }
+    return result;
+  }
+
+  /**
+   * Let the running game carry on without a player who just left
+   */
+  handleGameDeparture(player, io, reason) {
+    // Required here rather than at the top: the games load this model (via metrics)
+    const { getGame } = require('../games');
+    const gameModule = getGame(this.currentGame);
+    if (!gameModule) return;
+
+    recordDeparture(this, player, reason);
+    this.recordGameEvent({
+      type: 'departure',
+      playerId: player.id,
+      username: player.username,
+      reason,
+      policy: gameModule.meta.departurePolicy
+    });
+    gameModule.onPlayerLeave(this, player.id, io);
   }
 
   getPlayer(playerId) {
     return this.players.get(playerId);
   }
 
+  /**
+   * Whether a player, present or one who left the current game, is a bot
+   */
+  isBot(playerId) {
+    const player = this.players.get(playerId) || this.gameState?.departed?.[playerId];
+    return !!(player && player.isBot);
+  }
+
+  /**
+   * Look up anyone in the lobby, player or spectator
+   */
+  getMember(playerId) {
+    return this.players.get(playerId) || this.spectators.get(playerId);
+  }
+
+  isUsernameTaken(username) {
+    const lower = username.toLowerCase();
+    for (const member of [...this.players.values(), ...this.spectators.values()]) {
+      if (member.username.toLowerCase() === lower) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Find the member holding a reconnect token
+   */
+  getMemberByReconnectToken(token) {
+    for (const member of [...this.players.values(), ...this.spectators.values()]) {
+      if (member.matchesReconnectToken(token)) {
+        return member;
+      }
+    }
+    return null;
+  }
+
   getPlayerBySocketId(socketId) {
     for (const player of this.players.values()) {
       if (player.socketId === socketId) {
@@ -65,6 +234,101 @@ class Lobby {
     return null;
   }
 
+  /**
+   * Split players into teams. `assignments` is a list of
+   * `{ name?, playerIds }`; every player must be on exactly one team.
+   */
+  setTeams(assignments) {
+    if (this.currentGame) {
+      throw new ProtocolError('TEAMS_LOCKED');
+    }
+    if (assignments.length < 2) {
+      throw new ProtocolError('INVALID_TEAMS', { reason: 'Need at least 2 teams' });
+    }
+
+    const seen = new Set();
+    for (const { playerIds } of assignments) {
+      if (playerIds.length === 0) {
+        throw new ProtocolError('INVALID_TEAMS', { reason: 'Every team needs at least one player' });
+      }
+      for (const playerId of playerIds) {
+        if (!this.players.has(playerId)) {
+          throw new ProtocolError('INVALID_TEAMS', { reason: 'Only players in the lobby can be put on a team' });
+        }
+        if (seen.has(playerId)) {
+          throw new ProtocolError('INVALID_TEAMS', { reason: 'A player can only be on one team' });
+        }
+        seen.add(playerId);
+      }
+    }
+    if (seen.size !== this.players.size) {
+      throw new ProtocolError('INVALID_TEAMS', { reason: 'Every player needs a team' });
+    }
+
+    this.teams = assignments.map((assignment, index) => ({
+      id: `team-${index + 1}`,
+      name: assignment.name || `Team ${index + 1}`
+    }));
+    assignments.forEach((assignment, index) => {
+      for (const playerId of assignment.playerIds) {
+        this.players.get(playerId).teamId = this.teams[index].id;
+      }
+    });
+  }
+
+  /**
+   * Deal players into `count` teams at random
+   */
+  randomizeTeams(count) {
+    if (this.currentGame) {
+      throw new ProtocolError('TEAMS_LOCKED');
+    }
+    if (count > this.players.size) {
+      throw new ProtocolError('INVALID_TEAMS', { reason: `Need at least ${count} players for ${count} teams` });
+    }
+
+    const playerIds = Array.from(this.players.keys());
+    for (let i = playerIds.length - 1; i > 0; i--) {
+      const j = crypto.randomInt(i + 1);
+      [playerIds[i], playerIds[j]] = [playerIds[j], playerIds[i]];
+    }
+
+    const assignments = Array.from({ length: count }, () => ({ playerIds: [] }));
+    playerIds.forEach((playerId, index) => {
+      assignments[index % count].playerIds.push(playerId);
+    });
+    this.setTeams(assignments);
+  }
+
+  clearTeams() {
+    if (this.currentGame) {
+      throw new ProtocolError('TEAMS_LOCKED');
+    }
+    this.teams = [];
+    for (const player of this.players.values()) {
+      player.teamId = null;
+    }
+  }
+
+  /**
+   * Teams with their current members (empty list outside team mode)
+   */
+  getTeams() {
+    return this.teams.map(team => ({
+      ...team,
+      playerIds: Array.from(this.players.values())
+        .filter(player => player.teamId === team.id)
+        .map(player => player.id)
+    }));
+  }
+
+  getSmallestTeam() {
+    const teams = this.getTeams();
+    return teams.reduce((smallest, team) => (
+      team.playerIds.length < smallest.playerIds.length ? team : smallest
+    ), teams[0]);
+  }
+
   isHost(playerId) {
     return this.hostId === playerId;
   }
@@ -73,20 +337,156 @@ class Lobby {
     return this.players.get(this.hostId);
   }
 
-  startGame(gameName) {
+  transferHost(playerId) {
+    const newHost = this.players.get(playerId);
+    if (!newHost) {
+      throw new ProtocolError('PLAYER_NOT_FOUND');
+    }
+    if (newHost.isBot) {
+      throw new ProtocolError('BOT_NOT_ALLOWED', { action: 'be host' });
+    }
+
+    const previousHost = this.getHost();
+    if (previousHost) {
+      previousHost.isHost = false;
+    }
+    newHost.isHost = true;
+    this.hostId = newHost.id;
+    return newHost;
+  }
+
+  banUsername(username) {
+    this.bannedUsernames.add(username.toLowerCase());
+  }
+
+  isBanned(username) {
+    return this.bannedUsernames.has(username.toLowerCase());
+  }
+
+  /**
+   * Start a game. `context` defaults to a freshly seeded RNG on the real clock.
+   */
+  startGame(gameName, options = {}, context = createGameContext()) {
     if (this.players.size < 2) {
-      throw new Error('Need at least 2 players to start a game');
+      throw new ProtocolError('NOT_ENOUGH_PLAYERS', { minPlayers: 2 });
     }
     this.currentGame = gameName;
+    this.gameOptions = options;
     this.gameState = {};
+    this.gameContext = context;
+    this.gameStartedAt = context.clock.now();
+    this.lastGameLog = this.gameLog;
+    this.gameLog = {
+      gameId: gameName,
+      options,
+      seed: context.seed,
+      startedAt: this.gameStartedAt,
+      endedAt: null,
+      events: []
+    };
   }
 
   endGame() {
+    if (this.gameLog && this.gameContext) {
+      this.gameLog.endedAt = this.gameContext.clock.now();
+    }
     this.currentGame = null;
+    this.gameOptions = null;
     this.gameState = null;
+    this.gameContext = null;
+    this.gameStartedAt = null;
+  }
+
+  /**
+   * Append a timestamped entry to the current game's log, with oversized
+   * strings left out. Returns the logged event, or null if no game is running.
+   */
+  recordGameEvent(entry) {
+    if (!this.gameLog || !this.gameContext) return null;
+
+    const event = { at: this.gameContext.clock.now(), ...summarizeLogData(entry) };
+    const { events } = this.gameLog;
+    events.push(event);
+    if (events.length > MAX_GAME_LOG_EVENTS) {
+      events.shift();
+      this.gameLog.truncated = true;
+    }
+    return event;
+  }
+
+  /**
+   * Add a drink to each loser's ledger entry for a finished game.
+   * Bots never drink.
+   */
+  recordLosers(gameId, losers) {
+    this.gamesPlayed++;
+
+    for (const loser of losers || []) {
+      if (this.isBot(loser.playerId)) continue;
+      let entry = this.ledger.get(loser.playerId);
+      if (!entry) {
+        entry = { playerId: loser.playerId, username: loser.username, drinks: 0, byGame: {} };
+        this.ledger.set(loser.playerId, entry);
+      }
+      entry.username = loser.username;
+      entry.drinks++;
+      entry.byGame[gameId] = (entry.byGame[gameId] || 0) + 1;
+    }
+  }
+
+  resetLedger() {
+    this.ledger.clear();
+    this.gamesPlayed = 0;
+  }
+
+  /**
+   * Full ledger: every current player (even with no drinks yet) plus anyone
+   * who has left but still has drinks on the books, most drinks first
+   */
+  getLedger() {
+    const entries = [];
+
+    for (const player of this.players.values()) {
+      if (player.isBot) continue;
+      const entry = this.ledger.get(player.id);
+      entries.push({
+        playerId: player.id,
+        username: player.username,
+        drinks: entry ? entry.drinks : 0,
+        byGame: entry ? { ...entry.byGame } : {},
+        inLobby: true
+      });
+    }
+
+    for (const entry of this.ledger.values()) {
+      if (this.players.has(entry.playerId)) continue;
+      entries.push({ ...entry, byGame: { ...entry.byGame }, inLobby: false });
+    }
+
+    entries.sort((a, b) => b.drinks - a.drinks);
+
+    return {
+      gamesPlayed: this.gamesPlayed,
+      players: entries
+    };
+  }
+
+  /**
+   * Record member activity (used by the idle lobby reaper)
+   */
+  touch() {
+    this.lastActivityAt = Date.now();
+    this.idleWarningSentAt = null;
   }
 
   destroy() {
+    clearGameTimers(this);
+    if (this.playlist && this.playlist.timer) {
+      clearTimeout(this.playlist.timer);
+    }
+    for (const spectator of this.spectators.values()) {
+      spectator.lobbyCode = null;
+    }
     for (const player of this.players.values()) {
       player.lobbyCode = null;
       player.isHost = false;
@@ -94,16 +494,121 @@ class Lobby {
     Lobby.lobbies.delete(this.code);
   }
 
+  /**
+   * Playlist as sent to clients (no timer handle), or null
+   */
+  getPublicPlaylist() {
+    if (!this.playlist) return null;
+    const { entries, position, resultsPause, nextAt } = this.playlist;
+    return {
+      games: entries,
+      position,
+      remaining: entries.length - position,
+      resultsPause,
+      nextAt
+    };
+  }
+
   toPublic() {
     return {
       code: this.code,
       hostId: this.hostId,
       players: Array.from(this.players.values()).map(p => p.toPublic()),
+      spectators: Array.from(this.spectators.values()).map(p => p.toPublic()),
       currentGame: this.currentGame,
-      playerCount: this.players.size
+      gameOptions: this.gameOptions,
+      playerCount: this.players.size,
+      spectatorCount: this.spectators.size,
+      teams: this.getTeams(),
+      rematchUnanimous: this.rematchUnanimous,
+      autoPause: this.autoPause,
+      playlist: this.getPublicPlaylist(),
+      ledger: this.getLedger()
     };
   }
 
+  /**
+   * Snapshot of the lobby for the lobby store. Live timer handles are
+   * dropped; the game's `deadlines` are kept so timers can be re-armed,
+   * and the RNG state is kept so the game's random sequence continues.
+   */
+  serialize() {
+    let gameState = null;
+    if (this.gameState) {
+      const { timers, ...rest } = this.gameState;
+      gameState = rest;
+    }
+
+    return {
+      code: this.code,
+      hostId: this.hostId,
+      bannedUsernames: Array.from(this.bannedUsernames),
+      players: Array.from(this.players.values()).map(p => p.serialize()),
+      spectators: Array.from(this.spectators.values()).map(p => p.serialize()),
+      currentGame: this.currentGame,
+      gameOptions: this.gameOptions,
+      gameState,
+      gameContext: this.gameContext ? serializeGameContext(this.gameContext) : null,
+      gameStartedAt: this.gameStartedAt,
+      gameLog: this.gameLog,
+      lastGameLog: this.lastGameLog,
+      teams: this.teams,
+      rematchUnanimous: this.rematchUnanimous,
+      autoPause: this.autoPause,
+      playlist: this.playlist ? {
+        entries: this.playlist.entries,
+        position: this.playlist.position,
+        resultsPause: this.playlist.resultsPause,
+        nextAt: this.playlist.nextAt
+      } : null,
+      ledger: Array.from(this.ledger.values()),
+      gamesPlayed: this.gamesPlayed,
+      createdAt: this.createdAt,
+      lastActivityAt: this.lastActivityAt
+    };
+  }
+
+  /**
+   * Rebuild a lobby from a snapshot and register it
+   */
+  static restore(data) {
+    const lobby = Object.create(Lobby.prototype);
+    lobby.code = data.code;
+    lobby.players = new Map();
+    lobby.spectators = new Map();
+    lobby.hostId = data.hostId;
+    lobby.bannedUsernames = new Set(data.bannedUsernames || []);
+    lobby.currentGame = data.currentGame;
+    lobby.gameOptions = data.gameOptions || null;
+    lobby.gameStartedAt = data.gameStartedAt || null;
+    lobby.gameState = data.gameState ? { ...data.gameState, timers: {} } : null;
+    lobby.gameContext = lobby.gameState ? createGameContext(data.gameContext || {}) : null;
+    lobby.gameLog = data.gameLog || null;
+    lobby.lastGameLog = data.lastGameLog || null;
+    lobby.teams = data.teams || [];
+    lobby.rematchUnanimous = !!data.rematchUnanimous;
+    lobby.autoPause = !!data.autoPause;
+    lobby.playlist = data.playlist ? { ...data.playlist, timer: null } : null;
+    lobby.ledger = new Map((data.ledger || []).map(entry => [entry.playerId, entry]));
+    lobby.gamesPlayed = data.gamesPlayed || 0;
+    lobby.createdAt = data.createdAt;
+    lobby.lastActivityAt = data.lastActivityAt || Date.now();
+    lobby.idleWarningSentAt = null;
+
+    for (const playerData of data.players) {
+      const player = Player.deserialize(playerData);
+      lobby.players.set(player.id, player);
+    }
+
+    for (const spectatorData of data.spectators || []) {
+      const spectator = Player.deserialize(spectatorData);
+      lobby.spectators.set(spectator.id, spectator);
+    }
+
+    Lobby.lobbies.set(lobby.code, lobby);
+    return lobby;
+  }
+
   static findByCode(code) {
     return Lobby.lobbies.get(code?.toUpperCase());
   }
@@ -1,14 +1,48 @@
+const crypto = require('crypto');
 const { v4: uuidv4 } = require('uuid');
 
+/**
+ * Generate a secret reconnect token
+ */
+function generateReconnectToken() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
 class Player {
   constructor(socketId, username) {
     this.id = uuidv4();
     this.socketId = socketId;
     this.username = username;
     this.isHost = false;
+    this.isSpectator = false;
+    this.wantsToPlay = false; // spectator asked to join the next game
     this.lobbyCode = null;
     this.disconnected = false;
     this.disconnectTimeout = null;
+    // Secret proof of identity for player:reconnect. Only ever sent to this
+    // player's own socket, never included in toPublic().
+    this.reconnectToken = generateReconnectToken();
+    this.profileId = null; // claimed persistent profile, if any
+    this.teamId = null; // set while the lobby is in team mode
+    this.isBot = false; // server-side bot: no socket, played by the game's bot strategy
+  }
+
+  /**
+   * Constant-time check of a reconnect token
+   */
+  matchesReconnectToken(token) {
+    if (typeof token !== 'string' || !this.reconnectToken) return false;
+    const expected = Buffer.from(this.reconnectToken);
+    const actual = Buffer.from(token);
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  }
+
+  /**
+   * Issue a fresh reconnect token, invalidating the old one
+   */
+  rotateReconnectToken() {
+    this.reconnectToken = generateReconnectToken();
+    return this.reconnectToken;
   }
 
   toPublic() {
@@ -16,9 +50,52 @@ class Player {
       id: this.id,
       username: this.username,
       isHost: this.isHost,
-      disconnected: this.disconnected
+      isSpectator: this.isSpectator,
+      wantsToPlay: this.wantsToPlay,
+      disconnected: this.disconnected,
+      hasProfile: !!this.profileId,
+      teamId: this.teamId,
+      isBot: this.isBot
     };
   }
+
+  /**
+   * Snapshot of the player for the lobby store (no socket or timer state)
+   */
+  serialize() {
+    return {
+      id: this.id,
+      username: this.username,
+      isHost: this.isHost,
+      isSpectator: this.isSpectator,
+      wantsToPlay: this.wantsToPlay,
+      lobbyCode: this.lobbyCode,
+      reconnectToken: this.reconnectToken,
+      profileId: this.profileId,
+      teamId: this.teamId,
+      isBot: this.isBot
+    };
+  }
+
+  /**
+   * Rebuild a player from a snapshot. Restored players have no socket yet,
+   * so they start out disconnected until they send `player:reconnect`
+   * (bots never have one, and are never disconnected).
+   */
+  static deserialize(data) {
+    const player = new Player(null, data.username);
+    player.id = data.id;
+    player.isHost = data.isHost;
+    player.isSpectator = !!data.isSpectator;
+    player.wantsToPlay = !!data.wantsToPlay;
+    player.lobbyCode = data.lobbyCode;
+    player.reconnectToken = data.reconnectToken;
+    player.profileId = data.profileId || null;
+    player.teamId = data.teamId || null;
+    player.isBot = !!data.isBot;
+    player.disconnected = !player.isBot;
+    return player;
+  }
 }
 
 module.exports = Player;
@@ -0,0 +1,96 @@
+const crypto = require('crypto');
+
+/**
+ * Persistent player profile with cross-session stats.
+ *
+ * A client claims a profile by sending a secret `profileKey` when it joins.
+ * Only a hash of the key is kept, and it doubles as the profile id.
+ */
+class Profile {
+  static profiles = new Map();
+  static changed = false; // set when profiles need saving
+
+  constructor(id, username) {
+    this.id = id;
+    this.username = username;
+    this.createdAt = Date.now();
+    this.lastSeenAt = this.createdAt;
+    this.games = {}; // gameId -> { played, losses, ...game-specific records }
+  }
+
+  /**
+   * Per-game stats entry, created on first use
+   */
+  getGameStats(gameId) {
+    if (!this.games[gameId]) {
+      this.games[gameId] = { played: 0, losses: 0 };
+    }
+    return this.games[gameId];
+  }
+
+  toPublic() {
+    let played = 0;
+    let losses = 0;
+    for (const stats of Object.values(this.games)) {
+      played += stats.played;
+      losses += stats.losses;
+    }
+
+    return {
+      username: this.username,
+      createdAt: this.createdAt,
+      lastSeenAt: this.lastSeenAt,
+      totals: { played, losses },
+      games: this.games
+    };
+  }
+
+  serialize() {
+    return {
+      id: this.id,
+      username: this.username,
+      createdAt: this.createdAt,
+      lastSeenAt: this.lastSeenAt,
+      games: this.games
+    };
+  }
+
+  static deserialize(data) {
+    const profile = new Profile(data.id, data.username);
+    profile.createdAt = data.createdAt;
+    profile.lastSeenAt = data.lastSeenAt;
+    profile.games = data.games || {};
+    return profile;
+  }
+
+  /**
+   * Profile id for a profile key
+   */
+  static idForKey(profileKey) {
+    return crypto.createHash('sha256').update(profileKey).digest('hex');
+  }
+
+  /**
+   * Find or create the profile for a profile key
+   */
+  static claim(profileKey, username) {
+    const id = Profile.idForKey(profileKey);
+
+    let profile = Profile.profiles.get(id);
+    if (!profile) {
+      profile = new Profile(id, username);
+      Profile.profiles.set(id, profile);
+    }
+    profile.username = username;
+    profile.lastSeenAt = Date.now();
+    Profile.changed = true;
+
+    return profile;
+  }
+
+  static findById(id) {
+    return id ? Profile.profiles.get(id) : undefined;
+  }
+}
+
+module.exports = Profile;
@@ -0,0 +1,115 @@
+const crypto = require('crypto');
+const Player = require('../models/Player');
+const { getGame } = require('../games');
+const { onGameEvent } = require('../games/events');
+const { createRng } = require('../games/context');
+const { setGameTimer } = require('../games/timers');
+const { performGameAction } = require('./lobbyGames');
+const { errorResponse } = require('../errors');
+
+/**
+ * Bot players.
+ *
+ * A bot is an ordinary lobby player with `isBot` set and no socket. Games
+ * play their bots through the optional `playBot(bot, event, payload)` hook,
+ * which sees every message the bot would receive: room broadcasts plus
+ * anything sent to the bot alone. The `bot` handle has:
+ *
+ *   id, lobby         the bot's player id and its lobby
+ *   rng               the bot's own randomness (never the game's seeded RNG,
+ *                     so bots don't change how a seed plays out)
+ *   after(ms, fn)     run `fn` later on the game's timers, so a bot's moves
+ *                     pause, resume and clear with the game. Each bot has one
+ *                     pending move; scheduling another replaces it.
+ *   act(action, data) take a `game:action` exactly like a player would (once
+ *                     the bot has left the lobby, returns PLAYER_NOT_FOUND)
+ *
+ * Bots only act from `after` callbacks, never while a message is going out.
+ *
+ * Pending moves are not restored with a saved game. Instead, after a restart
+ * each bot gets a `bot:restored` event whose payload is its
+ * `getReconnectState`, so the strategy can pick up the current phase.
+ */
+
+// Bot names are `Bot_1`, `Bot_2`, ...; people can't pick names starting with this
+const BOT_NAME_PREFIX = 'Bot_';
+
+// Each bot's randomness, kept for as long as the bot exists
+const botRngs = new WeakMap();
+
+/**
+ * Whether a username looks like a bot's (case-insensitive)
+ */
+function isBotName(username) {
+  return username.toLowerCase().startsWith(BOT_NAME_PREFIX.toLowerCase());
+}
+
+/**
+ * Add a bot player to a lobby. Throws like `Lobby#addPlayer` when the lobby
+ * is full or mid-game.
+ */
+function addBot(lobby) {
+  let number = 1;
+  while (lobby.isUsernameTaken(`${BOT_NAME_PREFIX}${number}`)) number++;
+
+  const bot = new Player(null, `${BOT_NAME_PREFIX}${number}`);
+  bot.isBot = true;
+  lobby.addPlayer(bot);
+
+  return bot;
+}
+
+function getBotRng(player) {
+  if (!botRngs.has(player)) {
+    botRngs.set(player, createRng(crypto.randomInt(0, 2 ** 32)));
+  }
+  return botRngs.get(player);
+}
+
+function createBotHandle(lobby, io, player) {
+  return {
+    id: player.id,
+    lobby,
+    rng: getBotRng(player),
+    after(ms, fn) {
+      setGameTimer(lobby, `bot:${player.id}`, ms, fn);
+    },
+    act(action, data) {
+      if (!lobby.players.has(player.id)) return errorResponse('PLAYER_NOT_FOUND');
+      return performGameAction(lobby, player, action, data, io);
+    }
+  };
+}
+
+/**
+ * Hand every bot in a lobby restored from a snapshot its game state, so it
+ * can carry on playing
+ */
+function resumeBots(lobby, io) {
+  const gameModule = getGame(lobby.currentGame);
+  if (!gameModule || !gameModule.playBot) return;
+
+  for (const player of lobby.players.values()) {
+    if (!player.isBot) continue;
+    const state = gameModule.getReconnectState(lobby, player.id);
+    gameModule.playBot(createBotHandle(lobby, io, player), 'bot:restored', state);
+  }
+}
+
+// Show every game message to the bots it was meant for
+onGameEvent((lobby, io, event, payload, recipient) => {
+  const gameModule = getGame(lobby.currentGame);
+  if (!gameModule || !gameModule.playBot) return;
+
+  const bots = recipient ? [recipient] : Array.from(lobby.players.values());
+  for (const player of bots) {
+    if (!player.isBot) continue;
+    gameModule.playBot(createBotHandle(lobby, io, player), event, payload);
+  }
+});
+
+module.exports = {
+  isBotName,
+  addBot,
+  resumeBots
+};
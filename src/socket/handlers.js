@@ -1,311 +1,804 @@
 const Player = require('../models/Player');
 const Lobby = require('../models/Lobby');
+const Profile = require('../models/Profile');
 const { getAvailableGames, getGame } = require('../games');
-
-// Track players by socket ID
-const playersBySocket = new Map();
-
-const DISCONNECT_GRACE_PERIOD = 30000; // 30 seconds
+const { on } = require('./validation');
+const { playersBySocket, getSession } = require('./session');
+const {
+  startLobbyGame,
+  performGameAction,
+  endLobbyGame,
+  buildReconnectGameState,
+  canPauseLobbyGame,
+  pauseLobbyGame,
+  resumeLobbyGame,
+  autoPauseLobbyGame,
+  autoResumeLobbyGame,
+  getRematchStatus,
+  setRematchReady,
+  rematchLobbyGame
+} = require('./lobbyGames');
+const { startPlaylist, skipPlaylist, resumePlaylist, finishPlaylist } = require('./playlist');
+const { addBot, isBotName } = require('./bots');
+const { isShuttingDown } = require('./shutdown');
+const { recordReconnect } = require('../metrics');
+const { errorResponse } = require('../errors');
+const { systemClock } = require('../games/context');
+
+const { DEFAULTS } = require('../config');
+
+// Server config, set by setupSocketHandlers()
+let config = DEFAULTS;
 
 /**
- * Validate username (min 4 letters)
+ * Validate username against the configured rules.
+ * Returns { valid: true, username } or { valid: false, error } with an error response.
  */
 function validateUsername(username) {
   if (!username || typeof username !== 'string') {
-    return { valid: false, error: 'Username is required' };
+    return { valid: false, error: errorResponse('USERNAME_REQUIRED') };
   }
 
+  const { minLength, maxLength, pattern } = config.username;
   const trimmed = username.trim();
-  if (trimmed.length < 4) {
-    return { valid: false, error: 'Username must be at least 4 characters' };
+  if (trimmed.length < minLength) {
+    return { valid: false, error: errorResponse('USERNAME_TOO_SHORT', { minLength }) };
+  }
+
+  if (trimmed.length > maxLength) {
+    return { valid: false, error: errorResponse('USERNAME_TOO_LONG', { maxLength }) };
   }
 
-  if (trimmed.length > 20) {
-    return { valid: false, error: 'Username must be 20 characters or less' };
+  if (!new RegExp(pattern).test(trimmed)) {
+    return { valid: false, error: errorResponse('USERNAME_INVALID') };
   }
 
-  if (!/^[a-zA-Z0-9_]+$/.test(trimmed)) {
-    return { valid: false, error: 'Username can only contain letters, numbers, and underscores' };
+  if (isBotName(trimmed)) {
+    return { valid: false, error: errorResponse('USERNAME_RESERVED') };
   }
 
   return { valid: true, username: trimmed };
 }
 
+/**
+ * Claim the persistent profile for a profile key, if one was sent
+ */
+function attachProfile(player, profileKey) {
+  if (!profileKey) return;
+  player.profileId = Profile.claim(profileKey, player.username).id;
+}
+
+/**
+ * Whether someone in the lobby already holds the profile for this key
+ */
+function isProfileInLobby(lobby, profileKey) {
+  if (!profileKey) return false;
+  const profileId = Profile.idForKey(profileKey);
+  return [...lobby.players.values(), ...lobby.spectators.values()]
+    .some(member => member.profileId === profileId);
+}
+
 /**
  * Set up socket event handlers
  */
-function setupSocketHandlers(io) {
+function setupSocketHandlers(io, serverConfig = DEFAULTS) {
+  config = serverConfig;
+
   io.on('connection', (socket) => {
     console.log(`Client connected: ${socket.id}`);
 
     // Create lobby
-    socket.on('lobby:create', (data, callback) => {
-      try {
-        const validation = validateUsername(data.username);
-        if (!validation.valid) {
-          return callback({ error: validation.error });
-        }
+    on(socket, 'lobby:create', (data, callback) => {
+      if (isShuttingDown()) {
+        return callback(errorResponse('SERVER_SHUTTING_DOWN'));
+      }
 
-        // Create player
-        const player = new Player(socket.id, validation.username);
-        playersBySocket.set(socket.id, player);
+      const validation = validateUsername(data.username);
+      if (!validation.valid) {
+        return callback(validation.error);
+      }
 
-        // Create lobby
-        const lobby = new Lobby(player);
-        socket.join(lobby.code);
+      // Create player
+      const player = new Player(socket.id, validation.username);
+      attachProfile(player, data.profileKey);
+      playersBySocket.set(socket.id, player);
 
-        console.log(`Lobby created: ${lobby.code} by ${player.username}`);
+      // Create lobby
+      const lobby = new Lobby(player);
+      socket.join(lobby.code);
 
-        callback({
-          success: true,
-          lobbyCode: lobby.code,
-          player: player.toPublic(),
-          lobby: lobby.toPublic()
-        });
-      } catch (error) {
-        console.error('Error creating lobby:', error);
-        callback({ error: error.message });
-      }
+      console.log(`Lobby created: ${lobby.code} by ${player.username}`);
+
+      callback({
+        success: true,
+        lobbyCode: lobby.code,
+        reconnectToken: player.reconnectToken,
+        player: player.toPublic(),
+        lobby: lobby.toPublic()
+      });
     });
 
     // Join lobby
-    socket.on('lobby:join', (data, callback) => {
-      try {
-        const validation = validateUsername(data.username);
-        if (!validation.valid) {
-          return callback({ error: validation.error });
-        }
-
-        const lobbyCode = data.lobbyCode?.toUpperCase();
-        if (!lobbyCode || lobbyCode.length !== 4) {
-          return callback({ error: 'Invalid lobby code' });
-        }
-
-        const lobby = Lobby.findByCode(lobbyCode);
-        if (!lobby) {
-          return callback({ error: 'Lobby not found' });
-        }
-
-        // Check if username is already taken in this lobby
-        for (const existingPlayer of lobby.players.values()) {
-          if (existingPlayer.username.toLowerCase() === validation.username.toLowerCase()) {
-            return callback({ error: 'Username already taken in this lobby' });
-          }
-        }
-
-        // Create player and add to lobby
-        const player = new Player(socket.id, validation.username);
-        playersBySocket.set(socket.id, player);
-        lobby.addPlayer(player);
-
-        socket.join(lobby.code);
-
-        console.log(`Player ${player.username} joined lobby ${lobby.code}`);
-
-        // Notify other players
-        socket.to(lobby.code).emit('lobby:player-joined', {
-          player: player.toPublic(),
-          lobby: lobby.toPublic()
-        });
-
-        callback({
-          success: true,
-          player: player.toPublic(),
-          lobby: lobby.toPublic()
-        });
-      } catch (error) {
-        console.error('Error joining lobby:', error);
-        callback({ error: error.message });
+    on(socket, 'lobby:join', (data, callback) => {
+      const validation = validateUsername(data.username);
+      if (!validation.valid) {
+        return callback(validation.error);
       }
+
+      const lobbyCode = data.lobbyCode?.toUpperCase();
+      if (!lobbyCode || lobbyCode.length !== 4) {
+        return callback(errorResponse('INVALID_LOBBY_CODE'));
+      }
+
+      const lobby = Lobby.findByCode(lobbyCode);
+      if (!lobby) {
+        return callback(errorResponse('LOBBY_NOT_FOUND'));
+      }
+
+      if (lobby.isBanned(validation.username)) {
+        return callback(errorResponse('BANNED'));
+      }
+
+      // Check if username is already taken in this lobby
+      if (lobby.isUsernameTaken(validation.username)) {
+        return callback(errorResponse('USERNAME_TAKEN'));
+      }
+
+      if (isProfileInLobby(lobby, data.profileKey)) {
+        return callback(errorResponse('PROFILE_IN_USE'));
+      }
+
+      // Late arrivals can still watch
+      if (lobby.currentGame) {
+        return callback(errorResponse('GAME_IN_PROGRESS', { canSpectate: true }));
+      }
+
+      // Create player and add to lobby
+      const player = new Player(socket.id, validation.username);
+      lobby.addPlayer(player);
+      attachProfile(player, data.profileKey);
+      playersBySocket.set(socket.id, player);
+
+      socket.join(lobby.code);
+
+      console.log(`Player ${player.username} joined lobby ${lobby.code}`);
+
+      // Notify other players
+      socket.to(lobby.code).emit('lobby:player-joined', {
+        player: player.toPublic(),
+        lobby: lobby.toPublic()
+      });
+
+      callback({
+        success: true,
+        reconnectToken: player.reconnectToken,
+        player: player.toPublic(),
+        lobby: lobby.toPublic()
+      });
+    });
+
+    // Join lobby as a spectator (allowed mid-game)
+    on(socket, 'lobby:spectate', (data, callback) => {
+      const validation = validateUsername(data.username);
+      if (!validation.valid) {
+        return callback(validation.error);
+      }
+
+      const lobbyCode = data.lobbyCode?.toUpperCase();
+      if (!lobbyCode || lobbyCode.length !== 4) {
+        return callback(errorResponse('INVALID_LOBBY_CODE'));
+      }
+
+      const lobby = Lobby.findByCode(lobbyCode);
+      if (!lobby) {
+        return callback(errorResponse('LOBBY_NOT_FOUND'));
+      }
+
+      if (lobby.isBanned(validation.username)) {
+        return callback(errorResponse('BANNED'));
+      }
+
+      if (lobby.isUsernameTaken(validation.username)) {
+        return callback(errorResponse('USERNAME_TAKEN'));
+      }
+
+      if (isProfileInLobby(lobby, data.profileKey)) {
+        return callback(errorResponse('PROFILE_IN_USE'));
+      }
+
+      const spectator = new Player(socket.id, validation.username);
+      lobby.addSpectator(spectator);
+      attachProfile(spectator, data.profileKey);
+      playersBySocket.set(socket.id, spectator);
+
+      socket.join(lobby.code);
+
+      console.log(`Spectator ${spectator.username} joined lobby ${lobby.code}`);
+
+      socket.to(lobby.code).emit('lobby:spectator-joined', {
+        player: spectator.toPublic(),
+        lobby: lobby.toPublic()
+      });
+
+      callback({
+        success: true,
+        reconnectToken: spectator.reconnectToken,
+        player: spectator.toPublic(),
+        lobby: lobby.toPublic(),
+        gameState: lobby.currentGame ? buildReconnectGameState(lobby, spectator.id) : null
+      });
+    });
+
+    // Promote a spectator to a player. The host can promote anyone; a
+    // spectator can promote themselves. Mid-game requests are queued until
+    // the game ends.
+    on(socket, 'lobby:promote-spectator', (data, callback) => {
+      const { player, lobby, error } = getSession(socket);
+      if (error) {
+        return callback(error);
+      }
+
+      const spectatorId = data.playerId || player.id;
+      if (spectatorId !== player.id && !lobby.isHost(player.id)) {
+        return callback(errorResponse('NOT_HOST', { action: 'promote other spectators' }));
+      }
+
+      const spectator = lobby.spectators.get(spectatorId);
+      if (!spectator) {
+        return callback(errorResponse('SPECTATOR_NOT_FOUND'));
+      }
+
+      if (lobby.currentGame) {
+        spectator.wantsToPlay = true;
+        io.to(lobby.code).emit('lobby:updated', { lobby: lobby.toPublic() });
+        return callback({ success: true, queued: true });
+      }
+
+      lobby.promoteSpectator(spectatorId);
+
+      console.log(`Spectator ${spectator.username} promoted to player in ${lobby.code}`);
+
+      io.to(lobby.code).emit('lobby:spectator-promoted', {
+        player: spectator.toPublic(),
+        lobby: lobby.toPublic()
+      });
+
+      callback({ success: true, player: spectator.toPublic() });
+    });
+
+    // Add a bot player (host only). Bots leave through lobby:kick.
+    on(socket, 'lobby:add-bot', (data, callback) => {
+      const { player, lobby, error } = getSession(socket);
+      if (error) {
+        return callback(error);
+      }
+
+      if (!lobby.isHost(player.id)) {
+        return callback(errorResponse('NOT_HOST', { action: 'add bots' }));
+      }
+
+      const bot = addBot(lobby);
+
+      console.log(`Bot ${bot.username} added to lobby ${lobby.code}`);
+
+      io.to(lobby.code).emit('lobby:player-joined', {
+        player: bot.toPublic(),
+        lobby: lobby.toPublic()
+      });
+
+      callback({ success: true, player: bot.toPublic() });
+    });
+
+    // Kick a member from the lobby (host only)
+    on(socket, 'lobby:kick', (data, callback) => {
+      const { lobby, target, error } = getModerationTarget(socket, data);
+      if (error) {
+        return callback(error);
+      }
+
+      kickFromLobby(lobby, target, 'kicked', io);
+      callback({ success: true });
+    });
+
+    // Kick a member and block their username for the rest of the lobby's life (host only)
+    on(socket, 'lobby:ban', (data, callback) => {
+      const { lobby, target, error } = getModerationTarget(socket, data);
+      if (error) {
+        return callback(error);
+      }
+
+      lobby.banUsername(target.username);
+      kickFromLobby(lobby, target, 'banned', io);
+      callback({ success: true });
+    });
+
+    // Hand host rights to another player (host only)
+    on(socket, 'lobby:transfer-host', (data, callback) => {
+      const { lobby, target, error } = getModerationTarget(socket, data);
+      if (error) {
+        return callback(error);
+      }
+
+      if (target.isSpectator) {
+        return callback(errorResponse('SPECTATOR_NOT_ALLOWED', { action: 'be host' }));
+      }
+
+      if (target.disconnected) {
+        return callback(errorResponse('TARGET_DISCONNECTED'));
+      }
+
+      const previousHost = lobby.getHost();
+      lobby.transferHost(target.id);
+
+      console.log(`Host in ${lobby.code} transferred from ${previousHost.username} to ${target.username}`);
+
+      io.to(lobby.code).emit('lobby:host-changed', {
+        newHost: target.toPublic(),
+        previousHost: previousHost.toPublic(),
+        lobby: lobby.toPublic()
+      });
+
+      callback({ success: true });
     });
 
     // Leave lobby
-    socket.on('lobby:leave', (callback) => {
-      const result = handlePlayerLeave(socket, io);
-      if (callback) callback(result);
+    on(socket, 'lobby:leave', (data, callback) => {
+      callback(handlePlayerLeave(socket, io));
     });
 
     // Get available games
-    socket.on('games:list', (callback) => {
+    on(socket, 'games:list', (data, callback) => {
       callback({ games: getAvailableGames() });
     });
 
+    // Clock sync. Game deadlines are in server time; clients estimate their
+    // offset from it as serverTime - (clientTime + roundTrip / 2).
+    on(socket, 'time:sync', (data, callback) => {
+      callback({ clientTime: data.clientTime ?? null, serverTime: systemClock.now() });
+    });
+
     // Start a game (host only)
-    socket.on('game:start', (data, callback) => {
-      try {
-        const player = playersBySocket.get(socket.id);
-        if (!player || !player.lobbyCode) {
-          return callback({ error: 'Not in a lobby' });
-        }
-
-        const lobby = Lobby.findByCode(player.lobbyCode);
-        if (!lobby) {
-          return callback({ error: 'Lobby not found' });
-        }
-
-        if (!lobby.isHost(player.id)) {
-          return callback({ error: 'Only the host can start a game' });
-        }
-
-        const gameModule = getGame(data.gameId);
-        if (!gameModule) {
-          return callback({ error: 'Invalid game' });
-        }
-
-        if (lobby.players.size < 2) {
-          return callback({ error: 'Need at least 2 players to start' });
-        }
-
-        // Initialize the game
-        lobby.startGame(data.gameId);
-        gameModule.initGame(lobby, io);
-
-        console.log(`Game ${data.gameId} started in lobby ${lobby.code}`);
-
-        // Notify all players
-        io.to(lobby.code).emit('game:started', {
-          gameId: data.gameId,
-          lobby: lobby.toPublic()
-        });
-
-        // Start the game-specific flow
-        if (data.gameId === 'dead-draw-poker') {
-          gameModule.startDealing(lobby, io);
-        } else if (data.gameId === 'drawing-game') {
-          gameModule.startWordSubmission(lobby, io);
-        } else if (data.gameId === 'multiply-madness') {
-          gameModule.startGame(lobby, io);
-        } else if (data.gameId === 'queens') {
-          gameModule.startGame(lobby, io);
-        }
-
-        callback({ success: true });
-      } catch (error) {
-        console.error('Error starting game:', error);
-        callback({ error: error.message });
+    on(socket, 'game:start', (data, callback) => {
+      const { player, lobby, error } = getSession(socket);
+      if (error) {
+        return callback(error);
       }
+
+      if (!lobby.isHost(player.id)) {
+        return callback(errorResponse('NOT_HOST', { action: 'start a game' }));
+      }
+
+      if (lobby.playlist) {
+        return callback(errorResponse('PLAYLIST_PICKS_GAMES'));
+      }
+
+      callback(startLobbyGame(lobby, data.gameId, data.options, io));
     });
 
     // Handle game action
-    socket.on('game:action', (data, callback) => {
-      try {
-        const player = playersBySocket.get(socket.id);
-        if (!player || !player.lobbyCode) {
-          return callback({ error: 'Not in a lobby' });
-        }
+    on(socket, 'game:action', (data, callback) => {
+      const { player, lobby, error } = getSession(socket);
+      if (error) {
+        return callback(error);
+      }
+
+      if (player.isSpectator) {
+        return callback(errorResponse('SPECTATOR_NOT_ALLOWED', { action: 'take game actions' }));
+      }
+
+      if (!lobby.currentGame) {
+        return callback(errorResponse('NO_GAME_RUNNING'));
+      }
+
+      callback(performGameAction(lobby, player, data.action, data.data || {}, io));
+    });
+
+    // Signal (or withdraw) readiness for a rematch from the results screen
+    on(socket, 'game:ready', (data, callback) => {
+      const { player, lobby, error } = getSession(socket);
+      if (error) {
+        return callback(error);
+      }
+
+      if (player.isSpectator) {
+        return callback(errorResponse('SPECTATOR_NOT_ALLOWED', { action: 'vote for a rematch' }));
+      }
+
+      if (lobby.gameState?.phase !== 'results') {
+        return callback(errorResponse('ROUND_NOT_OVER', { feature: 'A rematch' }));
+      }
+
+      const ready = data.ready !== false;
+      setRematchReady(lobby, player.id, ready);
+
+      const status = getRematchStatus(lobby);
+      io.to(lobby.code).emit('game:rematch-ready', {
+        playerId: player.id,
+        ready,
+        ...status
+      });
+
+      callback({ success: true, ...status });
+    });
+
+    // Restart the finished game with the same options (host only)
+    on(socket, 'game:rematch', (data, callback) => {
+      const { player, lobby, error } = getSession(socket);
+      if (error) {
+        return callback(error);
+      }
+
+      if (!lobby.isHost(player.id)) {
+        return callback(errorResponse('NOT_HOST', { action: 'start a rematch' }));
+      }
+
+      if (lobby.gameState?.phase !== 'results') {
+        return callback(errorResponse('ROUND_NOT_OVER', { feature: 'A rematch' }));
+      }
+
+      if (lobby.playlist) {
+        return callback(errorResponse('PLAYLIST_PICKS_GAMES'));
+      }
+
+      const status = getRematchStatus(lobby);
+      if (lobby.rematchUnanimous && status.waitingOn.length > 0) {
+        return callback(errorResponse('REMATCH_NOT_READY', { waitingOn: status.waitingOn }));
+      }
+
+      callback(rematchLobbyGame(lobby, io));
+    });
+
+    // Require every connected player to be ready before a rematch (host only)
+    on(socket, 'game:rematch-policy', (data, callback) => {
+      const { player, lobby, error } = getSession(socket);
+      if (error) {
+        return callback(error);
+      }
+
+      if (!lobby.isHost(player.id)) {
+        return callback(errorResponse('NOT_HOST', { action: 'change the rematch policy' }));
+      }
+
+      lobby.rematchUnanimous = data.unanimous;
+
+      io.to(lobby.code).emit('lobby:updated', { lobby: lobby.toPublic() });
+
+      callback({ success: true, unanimous: lobby.rematchUnanimous });
+    });
+
+    // Freeze the running game (host only)
+    on(socket, 'game:pause', (data, callback) => {
+      const { player, lobby, error } = getSession(socket);
+      if (error) {
+        return callback(error);
+      }
+
+      if (!lobby.isHost(player.id)) {
+        return callback(errorResponse('NOT_HOST', { action: 'pause the game' }));
+      }
+
+      if (!canPauseLobbyGame(lobby)) {
+        return callback(errorResponse('NO_GAME_RUNNING'));
+      }
+
+      pauseLobbyGame(lobby, io, 'host');
+
+      callback({ success: true });
+    });
+
+    // Unfreeze a paused game (host only)
+    on(socket, 'game:resume', (data, callback) => {
+      const { player, lobby, error } = getSession(socket);
+      if (error) {
+        return callback(error);
+      }
+
+      if (!lobby.isHost(player.id)) {
+        return callback(errorResponse('NOT_HOST', { action: 'resume the game' }));
+      }
+
+      if (!lobby.gameState?.paused) {
+        return callback(errorResponse('GAME_NOT_PAUSED'));
+      }
 
-        const lobby = Lobby.findByCode(player.lobbyCode);
-        if (!lobby || !lobby.currentGame) {
-          return callback({ error: 'No game in progress' });
-        }
+      resumeLobbyGame(lobby, io);
 
-        const gameModule = getGame(lobby.currentGame);
-        if (!gameModule) {
-          return callback({ error: 'Invalid game state' });
-        }
+      callback({ success: true });
+    });
+
+    // Pause automatically while a player is in the disconnect grace period (host only)
+    on(socket, 'game:auto-pause', (data, callback) => {
+      const { player, lobby, error } = getSession(socket);
+      if (error) {
+        return callback(error);
+      }
+
+      if (!lobby.isHost(player.id)) {
+        return callback(errorResponse('NOT_HOST', { action: 'change auto-pause' }));
+      }
+
+      lobby.autoPause = data.enabled;
+
+      io.to(lobby.code).emit('lobby:updated', { lobby: lobby.toPublic() });
+
+      callback({ success: true, autoPause: lobby.autoPause });
+    });
+
+    // Fetch the event log of the last finished round
+    on(socket, 'game:replay', (data, callback) => {
+      const { lobby, error } = getSession(socket);
+      if (error) {
+        return callback(error);
+      }
 
-        const result = gameModule.handleAction(lobby, player.id, data.action, data.data || {}, io);
-        callback(result);
-      } catch (error) {
-        console.error('Error handling game action:', error);
-        callback({ error: error.message });
+      // The log holds private messages (like hole cards), so a round that is
+      // still running falls back to the one before it
+      const roundOver = !lobby.currentGame || lobby.gameState?.phase === 'results';
+      const replay = roundOver ? lobby.gameLog : lobby.lastGameLog;
+      if (!replay) {
+        return callback(roundOver
+          ? errorResponse('NO_REPLAY')
+          : errorResponse('ROUND_NOT_OVER', { feature: 'The replay' }));
       }
+
+      callback({ success: true, replay });
     });
 
     // End game and return to lobby (host only)
-    socket.on('game:end', (callback) => {
-      try {
-        const player = playersBySocket.get(socket.id);
-        if (!player || !player.lobbyCode) {
-          return callback({ error: 'Not in a lobby' });
-        }
+    on(socket, 'game:end', (data, callback) => {
+      const { player, lobby, error } = getSession(socket);
+      if (error) {
+        return callback(error);
+      }
 
-        const lobby = Lobby.findByCode(player.lobbyCode);
-        if (!lobby) {
-          return callback({ error: 'Lobby not found' });
-        }
+      if (!lobby.isHost(player.id)) {
+        return callback(errorResponse('NOT_HOST', { action: 'end the game' }));
+      }
 
-        if (!lobby.isHost(player.id)) {
-          return callback({ error: 'Only the host can end the game' });
-        }
+      endLobbyGame(lobby, io);
+      resumePlaylist(lobby, io);
 
-        if (lobby.currentGame) {
-          const gameModule = getGame(lobby.currentGame);
-          if (gameModule) {
-            gameModule.endGame(lobby);
-          }
-        }
+      callback({ success: true });
+    });
 
-        console.log(`Game ended in lobby ${lobby.code}`);
+    // Queue games to run back to back (host only)
+    on(socket, 'playlist:start', (data, callback) => {
+      const { player, lobby, error } = getSession(socket);
+      if (error) {
+        return callback(error);
+      }
 
-        io.to(lobby.code).emit('game:ended', {
-          lobby: lobby.toPublic()
-        });
+      if (!lobby.isHost(player.id)) {
+        return callback(errorResponse('NOT_HOST', { action: 'start a playlist' }));
+      }
 
-        callback({ success: true });
-      } catch (error) {
-        console.error('Error ending game:', error);
-        callback({ error: error.message });
+      if (lobby.playlist) {
+        return callback(errorResponse('PLAYLIST_RUNNING'));
       }
+
+      const { maxLength } = config.playlist;
+      if (data.games.length > maxLength) {
+        return callback(errorResponse('PLAYLIST_TOO_LONG', { maxLength }));
+      }
+
+      const unknown = data.games.find(gameId => !getGame(gameId));
+      if (unknown) {
+        return callback(errorResponse('UNKNOWN_GAME', { gameId: unknown }));
+      }
+
+      startPlaylist(lobby, io, data.games, {
+        shuffle: data.shuffle,
+        resultsPause: data.resultsPause ? data.resultsPause * 1000 : config.playlist.resultsPause
+      });
+
+      callback({ success: true, playlist: lobby.getPublicPlaylist() });
+    });
+
+    // Skip the running or upcoming playlist game (host only)
+    on(socket, 'playlist:skip', (data, callback) => {
+      const { player, lobby, error } = getSession(socket);
+      if (error) {
+        return callback(error);
+      }
+
+      if (!lobby.isHost(player.id)) {
+        return callback(errorResponse('NOT_HOST', { action: 'skip games' }));
+      }
+
+      if (!lobby.playlist) {
+        return callback(errorResponse('NO_PLAYLIST'));
+      }
+
+      skipPlaylist(lobby, io);
+
+      callback({ success: true, playlist: lobby.getPublicPlaylist() });
+    });
+
+    // Stop the playlist; a running game carries on (host only)
+    on(socket, 'playlist:stop', (data, callback) => {
+      const { player, lobby, error } = getSession(socket);
+      if (error) {
+        return callback(error);
+      }
+
+      if (!lobby.isHost(player.id)) {
+        return callback(errorResponse('NOT_HOST', { action: 'stop the playlist' }));
+      }
+
+      if (!lobby.playlist) {
+        return callback(errorResponse('NO_PLAYLIST'));
+      }
+
+      finishPlaylist(lobby, io, 'stopped');
+
+      callback({ success: true });
+    });
+
+    // Split players into teams by hand (host only)
+    on(socket, 'teams:set', (data, callback) => {
+      const { player, lobby, error } = getSession(socket);
+      if (error) {
+        return callback(error);
+      }
+
+      if (!lobby.isHost(player.id)) {
+        return callback(errorResponse('NOT_HOST', { action: 'set teams' }));
+      }
+
+      lobby.setTeams(data.teams.map(team => ({ name: team.name?.trim(), playerIds: team.playerIds })));
+
+      broadcastTeams(lobby, io);
+      callback({ success: true, teams: lobby.getTeams() });
+    });
+
+    // Split players into random teams (host only)
+    on(socket, 'teams:randomize', (data, callback) => {
+      const { player, lobby, error } = getSession(socket);
+      if (error) {
+        return callback(error);
+      }
+
+      if (!lobby.isHost(player.id)) {
+        return callback(errorResponse('NOT_HOST', { action: 'set teams' }));
+      }
+
+      lobby.randomizeTeams(data.count || 2);
+
+      broadcastTeams(lobby, io);
+      callback({ success: true, teams: lobby.getTeams() });
+    });
+
+    // Leave team mode (host only)
+    on(socket, 'teams:clear', (data, callback) => {
+      const { player, lobby, error } = getSession(socket);
+      if (error) {
+        return callback(error);
+      }
+
+      if (!lobby.isHost(player.id)) {
+        return callback(errorResponse('NOT_HOST', { action: 'set teams' }));
+      }
+
+      lobby.clearTeams();
+
+      broadcastTeams(lobby, io);
+      callback({ success: true });
+    });
+
+    // Get the lobby's drink ledger
+    on(socket, 'lobby:ledger', (data, callback) => {
+      const { lobby, error } = getSession(socket);
+      if (error) {
+        return callback(error);
+      }
+
+      callback({ ledger: lobby.getLedger() });
+    });
+
+    // Reset the lobby's drink ledger (host only)
+    on(socket, 'lobby:ledger-reset', (data, callback) => {
+      const { player, lobby, error } = getSession(socket);
+      if (error) {
+        return callback(error);
+      }
+
+      if (!lobby.isHost(player.id)) {
+        return callback(errorResponse('NOT_HOST', { action: 'reset the ledger' }));
+      }
+
+      lobby.resetLedger();
+
+      console.log(`Ledger reset in lobby ${lobby.code}`);
+
+      io.to(lobby.code).emit('lobby:ledger', {
+        ledger: lobby.getLedger()
+      });
+
+      callback({ success: true });
+    });
+
+    // Get persistent stats for yourself or another lobby member
+    on(socket, 'profile:get', (data, callback) => {
+      const { player, lobby, error } = getSession(socket);
+      if (error) {
+        return callback(error);
+      }
+
+      const target = data.playerId ? lobby.getMember(data.playerId) : player;
+      if (!target) {
+        return callback(errorResponse('PLAYER_NOT_FOUND'));
+      }
+
+      const profile = Profile.findById(target.profileId);
+      if (!profile) {
+        return callback(errorResponse('NO_PROFILE', { self: target === player }));
+      }
+
+      callback({ success: true, playerId: target.id, profile: profile.toPublic() });
     });
 
     // Handle reconnection
-    socket.on('player:reconnect', (data, callback) => {
-      try {
-        const { playerId, lobbyCode } = data;
-        if (!playerId || !lobbyCode) {
-          return callback({ error: 'Missing playerId or lobbyCode' });
-        }
-
-        const lobby = Lobby.findByCode(lobbyCode);
-        if (!lobby) {
-          return callback({ error: 'Lobby not found' });
-        }
-
-        const player = lobby.players.get(playerId);
-        if (!player) {
-          return callback({ error: 'Player not found in lobby' });
-        }
-
-        // Cancel the grace period timeout
-        if (player.disconnectTimeout) {
-          clearTimeout(player.disconnectTimeout);
-          player.disconnectTimeout = null;
-        }
-
-        // Update socket mapping
-        playersBySocket.delete(player.socketId);
-        player.socketId = socket.id;
-        player.disconnected = false;
-        playersBySocket.set(socket.id, player);
-
-        // Rejoin socket room
-        socket.join(lobby.code);
-
-        console.log(`Player ${player.username} reconnected to lobby ${lobby.code}`);
-
-        // Broadcast reconnection to other players
-        socket.to(lobby.code).emit('lobby:player-reconnected', {
-          player: player.toPublic(),
-          lobby: lobby.toPublic()
-        });
-
-        // Build reconnect game state if a game is in progress
-        let gameState = null;
-        if (lobby.currentGame) {
-          gameState = buildReconnectGameState(lobby, playerId);
-        }
-
-        callback({
-          success: true,
-          player: player.toPublic(),
-          lobby: lobby.toPublic(),
-          gameState
-        });
-      } catch (error) {
-        console.error('Error reconnecting player:', error);
-        callback({ error: error.message });
+    on(socket, 'player:reconnect', (data, callback) => {
+      const lobby = Lobby.findByCode(data.lobbyCode);
+      if (!lobby) {
+        recordReconnect(false);
+        return callback(errorResponse('LOBBY_NOT_FOUND'));
       }
+
+      // Stale (already rotated) and forged tokens look the same from here
+      const player = lobby.getMemberByReconnectToken(data.reconnectToken);
+      if (!player) {
+        recordReconnect(false);
+        return callback(errorResponse('RECONNECT_TOKEN_INVALID'));
+      }
+
+      // Cancel the grace period timeout
+      if (player.disconnectTimeout) {
+        clearTimeout(player.disconnectTimeout);
+        player.disconnectTimeout = null;
+      }
+
+      // Detach any socket still holding this seat
+      const previousSocket = player.socketId ? io.sockets.sockets.get(player.socketId) : null;
+      if (previousSocket && previousSocket.id !== socket.id) {
+        previousSocket.leave(lobby.code);
+        previousSocket.emit('lobby:session-replaced', { lobbyCode: lobby.code });
+      }
+
+      // Update socket mapping
+      playersBySocket.delete(player.socketId);
+      player.socketId = socket.id;
+      player.disconnected = false;
+      playersBySocket.set(socket.id, player);
+
+      // Rejoin socket room
+      socket.join(lobby.code);
+
+      recordReconnect(true);
+      console.log(`Player ${player.username} reconnected to lobby ${lobby.code}`);
+
+      // Broadcast reconnection to other players
+      socket.to(lobby.code).emit('lobby:player-reconnected', {
+        player: player.toPublic(),
+        lobby: lobby.toPublic()
+      });
+
+      // Build reconnect game state if a game is in progress
+      let gameState = null;
+      if (lobby.currentGame) {
+        gameState = buildReconnectGameState(lobby, player.id);
+      }
+
+      callback({
+        success: true,
+        reconnectToken: player.rotateReconnectToken(),
+        player: player.toPublic(),
+        lobby: lobby.toPublic(),
+        ledger: lobby.getLedger(),
+        gameState
+      });
+
+      autoResumeLobbyGame(lobby, io);
     });
 
     // Handle disconnection
@@ -316,6 +809,51 @@ function setupSocketHandlers(io) {
   });
 }
 
+/**
+ * Tell the lobby about new team assignments
+ */
+function broadcastTeams(lobby, io) {
+  console.log(`Teams updated in lobby ${lobby.code} (${lobby.teams.length} teams)`);
+
+  io.to(lobby.code).emit('teams:updated', {
+    teams: lobby.getTeams(),
+    lobby: lobby.toPublic()
+  });
+}
+
+/**
+ * Force-close a lobby: stop its game and timers, tell everyone why, and
+ * forget every member. `reason` is a short machine-readable tag ('admin',
+ * 'idle', ...) and `message` optional text to show players.
+ */
+function closeLobby(lobby, reason, io, message = null) {
+  if (lobby.currentGame) {
+    const gameModule = getGame(lobby.currentGame);
+    if (gameModule) {
+      gameModule.end(lobby);
+    } else {
+      lobby.endGame();
+    }
+  }
+
+  io.to(lobby.code).emit('lobby:closed', { reason, message });
+
+  for (const member of [...lobby.players.values(), ...lobby.spectators.values()]) {
+    if (member.disconnectTimeout) {
+      clearTimeout(member.disconnectTimeout);
+      member.disconnectTimeout = null;
+    }
+    if (member.socketId) {
+      playersBySocket.delete(member.socketId);
+    }
+  }
+
+  io.in(lobby.code).socketsLeave(lobby.code);
+  lobby.destroy();
+
+  console.log(`Lobby ${lobby.code} closed (${reason})`);
+}
+
 /**
  * Handle a player leaving (disconnect or explicit leave)
  */
@@ -328,30 +866,67 @@ function handlePlayerLeave(socket, io) {
   const lobby = player.lobbyCode ? Lobby.findByCode(player.lobbyCode) : null;
 
   if (lobby) {
-    const result = lobby.removePlayer(player.id);
-
     socket.leave(lobby.code);
+    removeFromLobby(lobby, player, 'left', io);
+  }
 
-    if (result.destroyed) {
-      console.log(`Lobby ${lobby.code} destroyed (empty)`);
-    } else if (result.newHost) {
-      // Notify remaining players about new host
-      io.to(lobby.code).emit('lobby:host-changed', {
-        newHost: result.newHost.toPublic(),
-        lobby: lobby.toPublic()
-      });
-      console.log(`New host in ${lobby.code}: ${result.newHost.username}`);
-    }
+  playersBySocket.delete(socket.id);
+  return { success: true };
+}
 
-    // Notify remaining players
-    io.to(lobby.code).emit('lobby:player-left', {
-      player: player.toPublic(),
+/**
+ * Remove a member from their lobby and notify everyone left behind.
+ * `reason` is one of 'left', 'disconnected', 'kicked' or 'banned'.
+ */
+function removeFromLobby(lobby, player, reason, io) {
+  const result = lobby.removePlayer(player.id, io, reason);
+
+  if (result.destroyed) {
+    console.log(`Lobby ${lobby.code} destroyed (empty)`);
+    io.to(lobby.code).emit('lobby:closed', { reason: 'empty' });
+  } else if (result.newHost) {
+    // Notify remaining players about new host
+    io.to(lobby.code).emit('lobby:host-changed', {
+      newHost: result.newHost.toPublic(),
       lobby: lobby.toPublic()
     });
+    console.log(`New host in ${lobby.code}: ${result.newHost.username}`);
   }
 
-  playersBySocket.delete(socket.id);
-  return { success: true };
+  // Notify remaining players
+  io.to(lobby.code).emit('lobby:player-left', {
+    player: player.toPublic(),
+    reason,
+    lobby: lobby.toPublic()
+  });
+
+  if (!result.destroyed) {
+    autoResumeLobbyGame(lobby, io);
+  }
+
+  return result;
+}
+
+/**
+ * Kick a member out of the lobby (host moderation). Works for connected,
+ * disconnected and mid-game members alike.
+ */
+function kickFromLobby(lobby, target, reason, io) {
+  if (target.disconnectTimeout) {
+    clearTimeout(target.disconnectTimeout);
+    target.disconnectTimeout = null;
+  }
+
+  const targetSocket = target.socketId ? io.sockets.sockets.get(target.socketId) : null;
+  if (targetSocket) {
+    targetSocket.leave(lobby.code);
+    targetSocket.emit('lobby:kicked', { lobbyCode: lobby.code, reason });
+  }
+  playersBySocket.delete(target.socketId);
+
+  console.log(`${target.username} ${reason} from lobby ${lobby.code}`);
+
+  return removeFromLobby(lobby, target, reason, io);
 }
 
 /**
@@ -381,43 +956,50 @@ function handlePlayerDisconnect(socket, io) {
 
   console.log(`Player ${player.username} disconnected from lobby ${lobby.code}, grace period started`);
 
-  // Start grace period timer
+  startDisconnectGracePeriod(player, lobby, io);
+  autoPauseLobbyGame(lobby, player, io);
+}
+
+/**
+ * Remove a disconnected player once the grace period runs out
+ */
+function startDisconnectGracePeriod(player, lobby, io) {
   player.disconnectTimeout = setTimeout(() => {
     player.disconnectTimeout = null;
     console.log(`Grace period expired for ${player.username} in lobby ${lobby.code}`);
 
     // Perform the actual removal
-    const result = lobby.removePlayer(player.id);
-
-    if (result.destroyed) {
-      console.log(`Lobby ${lobby.code} destroyed (empty)`);
-    } else if (result.newHost) {
-      io.to(lobby.code).emit('lobby:host-changed', {
-        newHost: result.newHost.toPublic(),
-        lobby: lobby.toPublic()
-      });
-      console.log(`New host in ${lobby.code}: ${result.newHost.username}`);
-    }
-
-    io.to(lobby.code).emit('lobby:player-left', {
-      player: player.toPublic(),
-      lobby: lobby.toPublic()
-    });
-  }, DISCONNECT_GRACE_PERIOD);
+    removeFromLobby(lobby, player, 'disconnected', io);
+  }, config.disconnectGracePeriod);
 }
 
 /**
- * Build game state for a reconnecting player
+ * Resolve the lobby and target member for a host moderation event
  */
-function buildReconnectGameState(lobby, playerId) {
-  const gameModule = getGame(lobby.currentGame);
-  if (!gameModule || !gameModule.getReconnectState) {
-    return { gameId: lobby.currentGame };
+function getModerationTarget(socket, data) {
+  const { player, lobby, error } = getSession(socket);
+  if (error) {
+    return { error };
+  }
+
+  if (!lobby.isHost(player.id)) {
+    return { error: errorResponse('NOT_HOST') };
   }
-  const state = gameModule.getReconnectState(lobby, playerId);
-  return { gameId: lobby.currentGame, ...state };
+
+  const target = lobby.getMember(data.playerId);
+  if (!target) {
+    return { error: errorResponse('PLAYER_NOT_FOUND') };
+  }
+
+  if (target.id === player.id) {
+    return { error: errorResponse('CANNOT_TARGET_SELF') };
+  }
+
+  return { lobby, target };
 }
 
 module.exports = {
-  setupSocketHandlers
+  setupSocketHandlers,
+  startDisconnectGracePeriod,
+  closeLobby
 };
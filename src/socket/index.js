@@ -1,5 +1,23 @@
-const { setupSocketHandlers } = require('./handlers');
+const { setupSocketHandlers, closeLobby } = require('./handlers');
+const {
+  restoreLobbies,
+  saveLobbies,
+  restoreProfiles,
+  saveProfiles,
+  startSnapshotting
+} = require('./persistence');
+const { startLobbyReaper } = require('./reaper');
+const { drainLobbies, stopGameTimers } = require('./shutdown');
 
 module.exports = {
-  setupSocketHandlers
+  setupSocketHandlers,
+  closeLobby,
+  restoreLobbies,
+  saveLobbies,
+  restoreProfiles,
+  saveProfiles,
+  startSnapshotting,
+  startLobbyReaper,
+  drainLobbies,
+  stopGameTimers
 };
@@ -0,0 +1,279 @@
+const Lobby = require('../models/Lobby');
+const { getGame } = require('../games');
+const { resolveOptions } = require('../games/options');
+const { pauseGameTimers, resumeGameTimers } = require('../games/timers');
+const { recordGameStarted } = require('../metrics');
+const { errorResponse } = require('../errors');
+const { validateGameAction } = require('./validation');
+const { isShuttingDown } = require('./shutdown');
+
+/**
+ * Check that a game can start with `playerCount` players and resolve its
+ * options. Returns `{ gameModule, options }` or an error response.
+ */
+function prepareLobbyGame(gameId, requestedOptions, playerCount) {
+  if (isShuttingDown()) {
+    return errorResponse('SERVER_SHUTTING_DOWN');
+  }
+
+  const gameModule = getGame(gameId);
+  if (!gameModule) {
+    return errorResponse('UNKNOWN_GAME', { gameId });
+  }
+
+  const { minPlayers, maxPlayers } = gameModule.meta;
+  if (playerCount < minPlayers) {
+    return errorResponse('NOT_ENOUGH_PLAYERS', { minPlayers });
+  }
+  if (playerCount > maxPlayers) {
+    return errorResponse('TOO_MANY_PLAYERS', { game: gameModule.meta.name, maxPlayers });
+  }
+
+  const resolved = resolveOptions(gameModule.meta.options, requestedOptions);
+  if (resolved.error) {
+    return errorResponse('INVALID_OPTIONS', { reason: resolved.error });
+  }
+
+  return { gameModule, options: resolved.options };
+}
+
+/**
+ * Start a game in a lobby: check the player count, resolve options, set up
+ * the game and announce it. Shared by `game:start` and the playlist.
+ * Returns `{ success: true }` or an error response.
+ */
+function startLobbyGame(lobby, gameId, requestedOptions, io) {
+  const prepared = prepareLobbyGame(gameId, requestedOptions, lobby.players.size);
+  if (prepared.error) {
+    return prepared;
+  }
+  const { gameModule, options } = prepared;
+
+  // Initialize the game
+  lobby.startGame(gameId, options);
+  gameModule.init(lobby, io, options);
+
+  recordGameStarted(gameId);
+  console.log(`Game ${gameId} started in lobby ${lobby.code}`);
+
+  // Notify all players
+  io.to(lobby.code).emit('game:started', {
+    gameId,
+    options,
+    lobby: lobby.toPublic()
+  });
+
+  // Start the game-specific flow
+  gameModule.start(lobby, io);
+
+  return { success: true };
+}
+
+/**
+ * Hand a `game:action` from a player (or bot) to the running game. The
+ * action is logged before it is handled so it precedes anything it triggers.
+ * Returns the game's response or an error response.
+ */
+function performGameAction(lobby, player, action, data, io) {
+  const gameModule = getGame(lobby.currentGame);
+  if (!gameModule) {
+    return errorResponse('INVALID_GAME_STATE');
+  }
+
+  if (lobby.gameState?.paused) {
+    return errorResponse('GAME_PAUSED');
+  }
+
+  const actionError = validateGameAction(gameModule, action, data);
+  if (actionError) {
+    return actionError;
+  }
+
+  const event = lobby.recordGameEvent({
+    type: 'action',
+    playerId: player.id,
+    action,
+    data
+  });
+
+  const result = gameModule.handleAction(lobby, player.id, action, data, io);
+  if (event && result && result.error) {
+    event.error = result.error;
+    event.code = result.code;
+  }
+  return result;
+}
+
+/**
+ * End the lobby's current game (if any), return everyone to the lobby and
+ * bring in spectators who asked to play
+ */
+function endLobbyGame(lobby, io) {
+  if (lobby.currentGame) {
+    const gameModule = getGame(lobby.currentGame);
+    if (gameModule) {
+      gameModule.end(lobby);
+    } else {
+      lobby.endGame();
+    }
+  }
+
+  console.log(`Game ended in lobby ${lobby.code}`);
+
+  const promoted = [];
+  for (const spectator of Array.from(lobby.spectators.values())) {
+    if (!spectator.wantsToPlay) continue;
+    try {
+      lobby.promoteSpectator(spectator.id);
+      promoted.push(spectator.toPublic());
+    } catch (error) {
+      // Lobby is full; they stay queued for the next game
+    }
+  }
+
+  io.to(lobby.code).emit('game:ended', {
+    lobby: lobby.toPublic(),
+    promoted
+  });
+}
+
+/**
+ * Build game state for a (re)connecting player
+ */
+function buildReconnectGameState(lobby, playerId) {
+  const gameModule = getGame(lobby.currentGame);
+  const paused = lobby.gameState?.paused;
+  const base = {
+    gameId: lobby.currentGame,
+    paused: paused ? { reason: paused.reason, since: paused.since } : null
+  };
+  if (!gameModule) {
+    return base;
+  }
+  const state = gameModule.getReconnectState(lobby, playerId);
+  return { ...base, ...state };
+}
+
+/**
+ * Whether the lobby's game can be paused right now
+ */
+function canPauseLobbyGame(lobby) {
+  return !!lobby.currentGame && lobby.gameState?.phase !== 'results' && !lobby.gameState?.paused;
+}
+
+/**
+ * Freeze the running game's timers. `reason` is 'host' or 'disconnect'.
+ */
+function pauseLobbyGame(lobby, io, reason) {
+  pauseGameTimers(lobby, reason);
+  lobby.recordGameEvent({ type: 'pause', reason });
+
+  console.log(`Game paused in lobby ${lobby.code} (${reason})`);
+
+  io.to(lobby.code).emit('game:paused', { reason, pausedAt: lobby.gameState.paused.since });
+}
+
+/**
+ * Unfreeze the game and send every member their recalculated game state
+ * (time limits included)
+ */
+function resumeLobbyGame(lobby, io) {
+  const pausedFor = resumeGameTimers(lobby);
+
+  const gameModule = getGame(lobby.currentGame);
+  if (gameModule && gameModule.onResume) {
+    gameModule.onResume(lobby, pausedFor);
+  }
+  lobby.recordGameEvent({ type: 'resume', pausedFor });
+
+  console.log(`Game resumed in lobby ${lobby.code} after ${pausedFor}ms`);
+
+  for (const member of [...lobby.players.values(), ...lobby.spectators.values()]) {
+    if (member.disconnected || !member.socketId) continue;
+    io.to(member.socketId).emit('game:resumed', {
+      pausedFor,
+      gameState: buildReconnectGameState(lobby, member.id)
+    });
+  }
+}
+
+/**
+ * Auto-pause: pause when an active player drops mid-game
+ */
+function autoPauseLobbyGame(lobby, player, io) {
+  if (!lobby.autoPause || !lobby.players.has(player.id)) return;
+  if (!canPauseLobbyGame(lobby)) return;
+
+  pauseLobbyGame(lobby, io, 'disconnect');
+}
+
+/**
+ * Auto-pause: resume once no active player is in their grace period.
+ * Pauses the host asked for are left alone.
+ */
+function autoResumeLobbyGame(lobby, io) {
+  if (lobby.gameState?.paused?.reason !== 'disconnect') return;
+
+  const waiting = Array.from(lobby.players.values()).some(player => player.disconnected);
+  if (!waiting) {
+    resumeLobbyGame(lobby, io);
+  }
+}
+
+/**
+ * Who has said they're ready for a rematch, and which connected players
+ * are still holding it up (bots are always ready)
+ */
+function getRematchStatus(lobby) {
+  const ready = lobby.gameState?.rematchReady || [];
+  const waitingOn = Array.from(lobby.players.values())
+    .filter(player => !player.disconnected && !player.isBot && !ready.includes(player.id))
+    .map(player => player.id);
+
+  return { readyPlayerIds: [...ready], waitingOn, unanimous: lobby.rematchUnanimous };
+}
+
+/**
+ * Mark a player (not) ready for a rematch of the finished game
+ */
+function setRematchReady(lobby, playerId, ready) {
+  const state = lobby.gameState;
+  const current = state.rematchReady || [];
+  state.rematchReady = ready
+    ? Array.from(new Set([...current, playerId]))
+    : current.filter(id => id !== playerId);
+}
+
+/**
+ * Restart the finished game with the same options. Nothing is torn down
+ * unless the new game can start, counting spectators queued to join.
+ */
+function rematchLobbyGame(lobby, io) {
+  const gameId = lobby.currentGame;
+  const options = lobby.gameOptions;
+
+  const queued = Array.from(lobby.spectators.values()).filter(spectator => spectator.wantsToPlay).length;
+  const playerCount = Math.min(lobby.players.size + queued, Lobby.limits.maxPlayers);
+  const prepared = prepareLobbyGame(gameId, options, playerCount);
+  if (prepared.error) {
+    return prepared;
+  }
+
+  endLobbyGame(lobby, io);
+  return startLobbyGame(lobby, gameId, options, io);
+}
+
+module.exports = {
+  startLobbyGame,
+  performGameAction,
+  endLobbyGame,
+  buildReconnectGameState,
+  canPauseLobbyGame,
+  pauseLobbyGame,
+  resumeLobbyGame,
+  autoPauseLobbyGame,
+  autoResumeLobbyGame,
+  getRematchStatus,
+  setRematchReady,
+  rematchLobbyGame
+};
@@ -0,0 +1,110 @@
+const Lobby = require('../models/Lobby');
+const Profile = require('../models/Profile');
+const { getGame } = require('../games');
+const { startDisconnectGracePeriod } = require('./handlers');
+const { resumePlaylist } = require('./playlist');
+const { resumeBots } = require('./bots');
+
+/**
+ * Restore saved lobbies from the store.
+ * Every restored player (bots aside) starts in the disconnect grace period,
+ * running games have their timers re-armed from the saved deadlines, bots
+ * pick up where they were, and playlists pick up their countdown.
+ */
+async function restoreLobbies(store, io) {
+  const snapshots = await store.load();
+
+  for (const snapshot of snapshots) {
+    if (Lobby.findByCode(snapshot.code)) continue;
+
+    const lobby = Lobby.restore(snapshot);
+
+    for (const member of [...lobby.players.values(), ...lobby.spectators.values()]) {
+      if (member.isBot) continue;
+      startDisconnectGracePeriod(member, lobby, io);
+    }
+
+    if (lobby.currentGame) {
+      const gameModule = getGame(lobby.currentGame);
+      if (gameModule && gameModule.resume) {
+        gameModule.resume(lobby, io);
+        resumeBots(lobby, io);
+      } else {
+        lobby.endGame();
+      }
+    }
+    resumePlaylist(lobby, io);
+
+    console.log(`Lobby restored: ${lobby.code} (${lobby.players.size} players)`);
+  }
+
+  return snapshots.length;
+}
+
+/**
+ * Save a snapshot of every lobby to the store
+ */
+async function saveLobbies(store) {
+  const lobbies = Array.from(Lobby.lobbies.values()).map(lobby => lobby.serialize());
+  await store.save(lobbies);
+}
+
+/**
+ * Load player profiles from the profile store
+ */
+async function restoreProfiles(store) {
+  const saved = await store.load();
+
+  for (const data of saved) {
+    const profile = Profile.deserialize(data);
+    Profile.profiles.set(profile.id, profile);
+  }
+
+  return saved.length;
+}
+
+/**
+ * Save profiles to the profile store if any changed since the last save
+ */
+async function saveProfiles(store) {
+  if (!Profile.changed) return;
+  Profile.changed = false;
+
+  try {
+    const profiles = Array.from(Profile.profiles.values()).map(profile => profile.serialize());
+    await store.save(profiles);
+  } catch (error) {
+    Profile.changed = true; // try again next time
+    throw error;
+  }
+}
+
+/**
+ * Periodically snapshot lobbies (or, with `save`, anything else kept in a
+ * store). Returns a function that stops snapshotting.
+ */
+function startSnapshotting(store, intervalMs, save = saveLobbies) {
+  let saving = false;
+
+  const interval = setInterval(async () => {
+    if (saving) return;
+    saving = true;
+    try {
+      await save(store);
+    } catch (error) {
+      console.error('Error saving snapshot:', error);
+    } finally {
+      saving = false;
+    }
+  }, intervalMs);
+
+  return () => clearInterval(interval);
+}
+
+module.exports = {
+  restoreLobbies,
+  saveLobbies,
+  restoreProfiles,
+  saveProfiles,
+  startSnapshotting
+};
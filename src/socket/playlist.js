@@ -0,0 +1,168 @@
+const crypto = require('crypto');
+const { getGame } = require('../games');
+const { onResults } = require('../games/results');
+const { startLobbyGame, endLobbyGame } = require('./lobbyGames');
+const { isShuttingDown } = require('./shutdown');
+const { errorResponse } = require('../errors');
+
+/**
+ * Playlist mode: the host queues game IDs and the server runs them back to
+ * back. After each game's results the lobby gets `resultsPause` ms on the
+ * results screen, announced as a countdown to the next game
+ * (`playlist:upcoming`).
+ */
+
+/**
+ * Shuffle a list using Fisher-Yates
+ */
+function shuffleList(list) {
+  const shuffled = [...list];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = crypto.randomInt(i + 1);
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+}
+
+function clearPlaylistTimer(playlist) {
+  if (playlist.timer) {
+    clearTimeout(playlist.timer);
+    playlist.timer = null;
+  }
+  playlist.nextAt = null;
+}
+
+/**
+ * Start a playlist. If a game is still running, the playlist picks up
+ * once it has results.
+ */
+function startPlaylist(lobby, io, gameIds, { shuffle = false, resultsPause }) {
+  const entries = shuffle ? shuffleList(gameIds) : [...gameIds];
+  lobby.playlist = { entries, position: 0, resultsPause, nextAt: null, timer: null };
+
+  console.log(`Playlist started in lobby ${lobby.code} (${entries.length} games)`);
+
+  io.to(lobby.code).emit('playlist:started', { playlist: lobby.getPublicPlaylist() });
+  resumePlaylist(lobby, io);
+}
+
+/**
+ * Count down to the next game (or, after the last one, to the end of the
+ * playlist)
+ */
+function scheduleNext(lobby, io, delay = lobby.playlist.resultsPause) {
+  const playlist = lobby.playlist;
+  clearPlaylistTimer(playlist);
+
+  playlist.nextAt = Date.now() + delay;
+  playlist.timer = setTimeout(() => {
+    playlist.timer = null;
+    // Nothing above a timer catches errors, so a bad entry must not take
+    // the server down with it
+    try {
+      advancePlaylist(lobby, io);
+    } catch (error) {
+      console.error(`Error advancing playlist in lobby ${lobby.code}:`, error);
+      finishPlaylist(lobby, io, 'error', errorResponse('INTERNAL_ERROR').error);
+    }
+  }, delay);
+
+  if (playlist.position >= playlist.entries.length) return;
+
+  const gameId = playlist.entries[playlist.position];
+  io.to(lobby.code).emit('playlist:upcoming', {
+    gameId,
+    name: getGame(gameId)?.meta.name || gameId,
+    position: playlist.position + 1,
+    total: playlist.entries.length,
+    startsAt: playlist.nextAt,
+    startsIn: delay
+  });
+}
+
+/**
+ * End the finished game and start the next one in the playlist
+ */
+function advancePlaylist(lobby, io) {
+  const playlist = lobby.playlist;
+  if (!playlist) return;
+  playlist.nextAt = null;
+
+  // Hold the playlist where it is; it carries on after the restart
+  if (isShuttingDown()) return;
+
+  if (lobby.currentGame) {
+    endLobbyGame(lobby, io);
+  }
+
+  if (playlist.position >= playlist.entries.length) {
+    return finishPlaylist(lobby, io, 'finished');
+  }
+
+  const gameId = playlist.entries[playlist.position];
+  playlist.position++;
+
+  const result = startLobbyGame(lobby, gameId, undefined, io);
+  if (result.error) {
+    finishPlaylist(lobby, io, 'error', result.error);
+  }
+}
+
+/**
+ * Stop the playlist. A game that is already running carries on as normal.
+ */
+function finishPlaylist(lobby, io, reason, message = null) {
+  if (!lobby.playlist) return;
+  clearPlaylistTimer(lobby.playlist);
+  lobby.playlist = null;
+
+  console.log(`Playlist ${reason} in lobby ${lobby.code}`);
+
+  io.to(lobby.code).emit('playlist:ended', { reason, message });
+}
+
+/**
+ * Skip ahead: abandon the running game, or during a countdown drop the
+ * upcoming game
+ */
+function skipPlaylist(lobby, io) {
+  const playlist = lobby.playlist;
+
+  if (lobby.currentGame && lobby.gameState?.phase !== 'results') {
+    endLobbyGame(lobby, io);
+  } else if (playlist.timer && playlist.position < playlist.entries.length) {
+    playlist.position++;
+  }
+
+  scheduleNext(lobby, io);
+  io.to(lobby.code).emit('playlist:updated', { playlist: lobby.getPublicPlaylist() });
+}
+
+/**
+ * Make sure a playlist with nothing running moves on: after a game was ended
+ * by hand, or for a lobby restored from a snapshot
+ */
+function resumePlaylist(lobby, io) {
+  const playlist = lobby.playlist;
+  if (!playlist || playlist.timer) return;
+
+  // A running game advances the playlist when its results come in
+  if (lobby.currentGame && lobby.gameState?.phase !== 'results') return;
+
+  const delay = playlist.nextAt ? Math.max(0, playlist.nextAt - Date.now()) : playlist.resultsPause;
+  scheduleNext(lobby, io, delay);
+}
+
+// Every game's results start the countdown to the next playlist entry
+onResults((lobby, io) => {
+  if (lobby.playlist) {
+    scheduleNext(lobby, io);
+  }
+});
+
+module.exports = {
+  startPlaylist,
+  skipPlaylist,
+  resumePlaylist,
+  finishPlaylist
+};
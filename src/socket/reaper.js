@@ -0,0 +1,52 @@
+const Lobby = require('../models/Lobby');
+const { closeLobby } = require('./handlers');
+
+/**
+ * Idle lobby reaper.
+ *
+ * Sweeps every `interval` ms and closes lobbies nobody has touched for a
+ * while, based on `Lobby.lastActivityAt`:
+ *
+ * - `idleTimeout`: no socket events from any member
+ * - `abandonedTimeout`: no member has a live socket (everyone disconnected,
+ *   or only bots left)
+ *
+ * Members get a `lobby:idle-warning` `warningTime` ms before the close, and
+ * any activity in the meantime cancels it.
+ */
+function startLobbyReaper(io, { interval, idleTimeout, abandonedTimeout, warningTime }) {
+  function sweep() {
+    const now = Date.now();
+
+    for (const lobby of Array.from(Lobby.lobbies.values())) {
+      const members = [...lobby.players.values(), ...lobby.spectators.values()];
+      const abandoned = members.every(member => member.disconnected || member.isBot);
+      const timeout = abandoned ? Math.min(idleTimeout, abandonedTimeout) : idleTimeout;
+
+      const idleFor = now - lobby.lastActivityAt;
+      const closesAt = lobby.lastActivityAt + timeout;
+
+      if (idleFor >= timeout) {
+        const minutes = Math.max(1, Math.round(idleFor / 60000));
+        closeLobby(lobby, 'idle', io, `Lobby closed after ${minutes} minutes of inactivity`);
+        continue;
+      }
+
+      if (idleFor >= timeout - warningTime && !lobby.idleWarningSentAt) {
+        lobby.idleWarningSentAt = now;
+        io.to(lobby.code).emit('lobby:idle-warning', {
+          closesAt,
+          closesIn: closesAt - now
+        });
+        console.log(`Lobby ${lobby.code} idle for ${Math.round(idleFor / 1000)}s, warning sent`);
+      }
+    }
+  }
+
+  const timer = setInterval(sweep, interval);
+  return () => clearInterval(timer);
+}
+
+module.exports = {
+  startLobbyReaper
+};
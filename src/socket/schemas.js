@@ -0,0 +1,78 @@
+/**
+ * Payload schemas for every client -> server socket event (see utils/schema.js).
+ * `null` means the event takes no payload, only an optional callback.
+ */
+
+const username = { type: 'string', required: true, maxLength: 100 };
+const lobbyCode = { type: 'string', required: true, maxLength: 10 };
+const playerId = { type: 'string', required: true, maxLength: 100 };
+// Client-held secret that claims a persistent profile
+const profileKey = { type: 'string', minLength: 16, maxLength: 200 };
+
+module.exports = {
+  'lobby:create': { username, profileKey },
+  'lobby:join': { username, lobbyCode, profileKey },
+  'lobby:spectate': { username, lobbyCode, profileKey },
+  'lobby:promote-spectator': { playerId: { ...playerId, required: false } },
+  'lobby:leave': null,
+  'lobby:add-bot': null,
+  'lobby:kick': { playerId },
+  'lobby:ban': { playerId },
+  'lobby:transfer-host': { playerId },
+  'lobby:ledger': null,
+  'teams:set': {
+    teams: {
+      type: 'array',
+      required: true,
+      minItems: 2,
+      maxItems: 8,
+      items: {
+        type: 'object',
+        fields: {
+          name: { type: 'string', maxLength: 30 },
+          playerIds: { type: 'array', required: true, maxItems: 16, items: { type: 'string', maxLength: 100 } }
+        }
+      }
+    }
+  },
+  'teams:randomize': { count: { type: 'integer', min: 2, max: 8 } },
+  'teams:clear': null,
+  'lobby:ledger-reset': null,
+  'games:list': null,
+  'game:start': {
+    gameId: { type: 'string', required: true, maxLength: 100 },
+    options: { type: 'object' }
+  },
+  'game:action': {
+    action: { type: 'string', required: true, maxLength: 100 },
+    data: { type: 'object' }
+  },
+  'game:end': null,
+  'playlist:start': {
+    games: {
+      type: 'array',
+      required: true,
+      minItems: 1,
+      maxItems: 100,
+      items: { type: 'string', maxLength: 100 }
+    },
+    shuffle: { type: 'boolean' },
+    resultsPause: { type: 'integer', min: 3, max: 120 } // seconds
+  },
+  'playlist:skip': null,
+  'playlist:stop': null,
+  'game:replay': null,
+  'game:pause': null,
+  'game:resume': null,
+  'game:auto-pause': { enabled: { type: 'boolean', required: true } },
+  'game:ready': { ready: { type: 'boolean' } },
+  'game:rematch': null,
+  'game:rematch-policy': { unanimous: { type: 'boolean', required: true } },
+  'profile:get': { playerId: { ...playerId, required: false } },
+  'player:reconnect': {
+    lobbyCode,
+    reconnectToken: { type: 'string', required: true, maxLength: 200 }
+  },
+  // Client's own clock reading, echoed back so it can measure the round trip
+  'time:sync': { clientTime: { type: 'number' } }
+};
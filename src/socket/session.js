@@ -0,0 +1,28 @@
+const Lobby = require('../models/Lobby');
+const { errorResponse } = require('../errors');
+
+// Track players by socket ID
+const playersBySocket = new Map();
+
+/**
+ * Look up the player behind a socket and the lobby they are in.
+ * Returns { player, lobby } or { error } with an error response.
+ */
+function getSession(socket) {
+  const player = playersBySocket.get(socket.id);
+  if (!player || !player.lobbyCode) {
+    return { error: errorResponse('NOT_IN_LOBBY') };
+  }
+
+  const lobby = Lobby.findByCode(player.lobbyCode);
+  if (!lobby) {
+    return { error: errorResponse('LOBBY_NOT_FOUND') };
+  }
+
+  return { player, lobby };
+}
+
+module.exports = {
+  playersBySocket,
+  getSession
+};
@@ -0,0 +1,82 @@
+const Lobby = require('../models/Lobby');
+const { clearGameTimers } = require('../games/timers');
+const { systemClock } = require('../games/context');
+
+/**
+ * Graceful shutdown.
+ *
+ * Once a shutdown starts the server stops taking new lobbies and new games,
+ * tells every client with a `server:shutdown` notice, and waits up to
+ * `drainTimeout` ms for running games to reach their results. Whatever is
+ * still running after that is saved with the lobby snapshot and picks up
+ * again on the next start.
+ */
+
+// How often to check whether the running games have finished
+const DRAIN_CHECK_INTERVAL = 1000;
+
+let shutdownDeadline = null;
+
+/**
+ * Whether a shutdown has started
+ */
+function isShuttingDown() {
+  return shutdownDeadline !== null;
+}
+
+/**
+ * Lobbies whose game hasn't reached its results yet
+ */
+function getRunningGames() {
+  return Array.from(Lobby.lobbies.values())
+    .filter(lobby => lobby.currentGame && lobby.gameState?.phase !== 'results');
+}
+
+/**
+ * Start shutting down: announce it and resolve once every running game has
+ * results, or `drainTimeout` ms from now, whichever comes first
+ */
+function drainLobbies(io, { drainTimeout }) {
+  shutdownDeadline = systemClock.now() + drainTimeout;
+
+  io.emit('server:shutdown', {
+    deadline: shutdownDeadline,
+    message: 'The server is restarting. Running games can finish; new ones cannot start.'
+  });
+  console.log(`Draining ${getRunningGames().length} running games (up to ${drainTimeout}ms)`);
+
+  return new Promise((resolve) => {
+    if (isDrained()) return resolve();
+
+    const interval = setInterval(() => {
+      if (isDrained()) {
+        clearInterval(interval);
+        resolve();
+      }
+    }, DRAIN_CHECK_INTERVAL);
+  });
+}
+
+function isDrained() {
+  const running = getRunningGames().length;
+  if (running === 0) return true;
+  if (systemClock.now() < shutdownDeadline) return false;
+
+  console.log(`Drain timed out with ${running} games still running`);
+  return true;
+}
+
+/**
+ * Cancel every game timer so nothing fires while the server closes
+ */
+function stopGameTimers() {
+  for (const lobby of Lobby.lobbies.values()) {
+    clearGameTimers(lobby);
+  }
+}
+
+module.exports = {
+  isShuttingDown,
+  drainLobbies,
+  stopGameTimers
+};
@@ -0,0 +1,87 @@
+const { validate } = require('../utils/schema');
+const EVENT_SCHEMAS = require('./schemas');
+const { recordSocketEvent } = require('../metrics');
+const { getSession } = require('./session');
+const { errorResponse, ProtocolError } = require('../errors');
+
+function noop() {}
+
+/**
+ * Register a socket event handler behind the validation layer.
+ *
+ * - The callback is always the last argument if the client sent one; a
+ *   no-op stands in when it didn't, so handlers can call it unconditionally.
+ * - The payload is checked against the event's schema. Invalid payloads get
+ *   an INVALID_PAYLOAD error back and never reach the handler.
+ * - A `ProtocolError` thrown by the handler is returned as its error
+ *   response (see ../errors.js); anything else is logged and returned as
+ *   INTERNAL_ERROR.
+ * - Every event, and whether it was answered with an error, is counted in
+ *   the metrics.
+ * - Events from lobby members count as lobby activity for the idle reaper.
+ *
+ * Handlers are always called as `handler(data, callback)`.
+ */
+function on(socket, event, handler) {
+  if (!(event in EVENT_SCHEMAS)) {
+    throw new Error(`No payload schema registered for ${event}`);
+  }
+  const schema = EVENT_SCHEMAS[event];
+
+  socket.on(event, (...args) => {
+    const clientCallback = typeof args[args.length - 1] === 'function' ? args.pop() : noop;
+    let data = args[0];
+    let counted = false;
+
+    const callback = (response) => {
+      if (!counted) {
+        counted = true;
+        recordSocketEvent(event, !!(response && response.error));
+      }
+      clientCallback(response);
+    };
+
+    if (schema) {
+      if (data === undefined || data === null) data = {};
+      const reason = validate(schema, data);
+      if (reason) {
+        return callback(errorResponse('INVALID_PAYLOAD', { event, reason }));
+      }
+    }
+
+    try {
+      handler(data, callback);
+    } catch (error) {
+      if (error instanceof ProtocolError) {
+        callback(error.toResponse());
+      } else {
+        console.error(`Error handling ${event}:`, error);
+        callback(errorResponse('INTERNAL_ERROR'));
+      }
+    }
+
+    const { lobby } = getSession(socket);
+    if (lobby) {
+      lobby.touch();
+    }
+  });
+}
+
+/**
+ * Validate a `game:action` payload against the game's action schemas.
+ * Returns an error response or null.
+ */
+function validateGameAction(gameModule, action, data) {
+  const schema = gameModule.actions[action];
+  if (!schema) {
+    return errorResponse('UNKNOWN_ACTION', { action });
+  }
+
+  const reason = validate(schema, data, 'data');
+  return reason ? errorResponse('INVALID_PAYLOAD', { event: action, reason }) : null;
+}
+
+module.exports = {
+  on,
+  validateGameAction
+};
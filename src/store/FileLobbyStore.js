@@ -0,0 +1,48 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+const SNAPSHOT_VERSION = 1;
+
+/**
+ * Lobby store backed by a JSON file on disk.
+ * Writes go to a temp file first and are renamed into place, so a crash
+ * mid-write never leaves a half-written snapshot behind.
+ */
+class FileLobbyStore {
+  constructor(filePath) {
+    this.filePath = path.resolve(filePath);
+  }
+
+  async load() {
+    let raw;
+    try {
+      raw = await fs.readFile(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const snapshot = JSON.parse(raw);
+    if (snapshot.version !== SNAPSHOT_VERSION) {
+      console.warn(`Ignoring lobby snapshot with unsupported version ${snapshot.version}`);
+      return [];
+    }
+
+    return snapshot.lobbies || [];
+  }
+
+  async save(lobbies) {
+    const snapshot = {
+      version: SNAPSHOT_VERSION,
+      savedAt: Date.now(),
+      lobbies
+    };
+
+    const tempPath = `${this.filePath}.tmp`;
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.writeFile(tempPath, JSON.stringify(snapshot));
+    await fs.rename(tempPath, this.filePath);
+  }
+}
+
+module.exports = FileLobbyStore;
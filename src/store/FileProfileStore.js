@@ -0,0 +1,47 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+const PROFILES_VERSION = 1;
+
+/**
+ * Profile store backed by a JSON file on disk.
+ * Written the same way as FileLobbyStore: temp file, then rename.
+ */
+class FileProfileStore {
+  constructor(filePath) {
+    this.filePath = path.resolve(filePath);
+  }
+
+  async load() {
+    let raw;
+    try {
+      raw = await fs.readFile(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const data = JSON.parse(raw);
+    if (data.version !== PROFILES_VERSION) {
+      console.warn(`Ignoring profile file with unsupported version ${data.version}`);
+      return [];
+    }
+
+    return data.profiles || [];
+  }
+
+  async save(profiles) {
+    const data = {
+      version: PROFILES_VERSION,
+      savedAt: Date.now(),
+      profiles
+    };
+
+    const tempPath = `${this.filePath}.tmp`;
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.writeFile(tempPath, JSON.stringify(data));
+    await fs.rename(tempPath, this.filePath);
+  }
+}
+
+module.exports = FileProfileStore;
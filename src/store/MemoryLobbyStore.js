@@ -0,0 +1,19 @@
+/**
+ * Lobby store that keeps the latest snapshot in memory.
+ * Nothing survives a restart; this is the default when no store is configured.
+ */
+class MemoryLobbyStore {
+  constructor() {
+    this.snapshot = [];
+  }
+
+  async load() {
+    return this.snapshot;
+  }
+
+  async save(lobbies) {
+    this.snapshot = lobbies;
+  }
+}
+
+module.exports = MemoryLobbyStore;
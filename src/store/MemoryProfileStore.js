@@ -0,0 +1,19 @@
+/**
+ * Profile store that keeps profiles in memory.
+ * Nothing survives a restart; this is the default when no store is configured.
+ */
+class MemoryProfileStore {
+  constructor() {
+    this.profiles = [];
+  }
+
+  async load() {
+    return this.profiles;
+  }
+
+  async save(profiles) {
+    this.profiles = profiles;
+  }
+}
+
+module.exports = MemoryProfileStore;
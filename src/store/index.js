@@ -0,0 +1,47 @@
+const MemoryLobbyStore = require('./MemoryLobbyStore');
+const FileLobbyStore = require('./FileLobbyStore');
+const MemoryProfileStore = require('./MemoryProfileStore');
+const FileProfileStore = require('./FileProfileStore');
+
+const DEFAULT_FILE_PATH = 'data/lobbies.json';
+const DEFAULT_PROFILES_PATH = 'data/profiles.json';
+
+/**
+ * Create a lobby store adapter.
+ * A store is any object with async `load()` returning saved lobby snapshots
+ * and async `save(lobbies)` persisting them.
+ */
+function createLobbyStore({ type = 'memory', filePath = DEFAULT_FILE_PATH } = {}) {
+  switch (type) {
+    case 'memory':
+      return new MemoryLobbyStore();
+    case 'file':
+      return new FileLobbyStore(filePath);
+    default:
+      throw new Error(`Unknown lobby store: ${type}`);
+  }
+}
+
+/**
+ * Create a player profile store. Same shape as a lobby store:
+ * async `load()` returning saved profiles and async `save(profiles)`.
+ */
+function createProfileStore({ type = 'memory', filePath = DEFAULT_PROFILES_PATH } = {}) {
+  switch (type) {
+    case 'memory':
+      return new MemoryProfileStore();
+    case 'file':
+      return new FileProfileStore(filePath);
+    default:
+      throw new Error(`Unknown profile store: ${type}`);
+  }
+}
+
+module.exports = {
+  createLobbyStore,
+  createProfileStore,
+  MemoryLobbyStore,
+  FileLobbyStore,
+  MemoryProfileStore,
+  FileProfileStore
+};
@@ -15,12 +15,12 @@ function createDeck() {
 }
 
 /**
- * Shuffles a deck using Fisher-Yates algorithm
+ * Shuffles a deck using Fisher-Yates algorithm with the game's RNG
  */
-function shuffleDeck(deck) {
+function shuffleDeck(deck, rng) {
   const shuffled = [...deck];
   for (let i = shuffled.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
+    const j = rng.int(i + 1);
     [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
   }
   return shuffled;
@@ -0,0 +1,103 @@
+/**
+ * Minimal payload schema checker.
+ *
+ * A schema maps field names to rules:
+ *
+ *   { type: 'string' | 'integer' | 'number' | 'boolean' | 'object' | 'array' | 'any',
+ *     required?, minLength?, maxLength?, pattern?, min?, max?, enum?,
+ *     fields? (nested object schema), items? (rule for array elements),
+ *     minItems?, maxItems? }
+ *
+ * Unknown fields are ignored so clients can send extra data safely.
+ */
+
+/**
+ * Check a single value against a rule. Returns an error string or null.
+ */
+function checkValue(rule, value, path) {
+  switch (rule.type) {
+    case 'string':
+      if (typeof value !== 'string') return `${path} must be a string`;
+      if (rule.minLength !== undefined && value.length < rule.minLength) {
+        return `${path} must be at least ${rule.minLength} characters`;
+      }
+      if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+        return `${path} must be at most ${rule.maxLength} characters`;
+      }
+      if (rule.pattern && !rule.pattern.test(value)) {
+        return `${path} has an invalid format`;
+      }
+      break;
+    case 'integer':
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value)) return `${path} must be a number`;
+      if (rule.type === 'integer' && !Number.isInteger(value)) return `${path} must be a whole number`;
+      if (rule.min !== undefined && value < rule.min) return `${path} must be at least ${rule.min}`;
+      if (rule.max !== undefined && value > rule.max) return `${path} must be at most ${rule.max}`;
+      break;
+    case 'boolean':
+      if (typeof value !== 'boolean') return `${path} must be true or false`;
+      break;
+    case 'object':
+      if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+        return `${path} must be an object`;
+      }
+      if (rule.fields) {
+        return validate(rule.fields, value, path);
+      }
+      break;
+    case 'array':
+      if (!Array.isArray(value)) return `${path} must be an array`;
+      if (rule.minItems !== undefined && value.length < rule.minItems) {
+        return `${path} must have at least ${rule.minItems} items`;
+      }
+      if (rule.maxItems !== undefined && value.length > rule.maxItems) {
+        return `${path} must have at most ${rule.maxItems} items`;
+      }
+      if (rule.items) {
+        for (let i = 0; i < value.length; i++) {
+          const error = checkValue(rule.items, value[i], `${path}[${i}]`);
+          if (error) return error;
+        }
+      }
+      break;
+    case 'any':
+      break;
+    default:
+      return `${path} has an unknown schema type`;
+  }
+
+  if (rule.enum && !rule.enum.includes(value)) {
+    return `${path} must be one of: ${rule.enum.join(', ')}`;
+  }
+
+  return null;
+}
+
+/**
+ * Validate an object against a schema. Returns an error string or null.
+ */
+function validate(schema, value, path = 'payload') {
+  if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+    return `${path} must be an object`;
+  }
+
+  for (const [field, rule] of Object.entries(schema)) {
+    const fieldValue = value[field];
+    const fieldPath = path === 'payload' ? field : `${path}.${field}`;
+
+    if (fieldValue === undefined || fieldValue === null) {
+      if (rule.required) return `${fieldPath} is required`;
+      continue;
+    }
+
+    const error = checkValue(rule, fieldValue, fieldPath);
+    if (error) return error;
+  }
+
+  return null;
+}
+
+module.exports = {
+  validate
+};